@@ -0,0 +1,136 @@
+import * as Generator from "./Generator.js";
+import { ALGORITHMS, solve } from "./Solvers.js";
+import { createRandom, randomSeed } from "./Random.js";
+
+// the measures collected for every run, in the order they are exported
+export const METRICS = ["time", "consistencyChecks", "nodes", "backtracks", "pruned", "maxDepth", "wipeouts", "restarts"];
+
+/**
+ * Runs every algorithm on the same puzzle.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle to solve.
+ * @param {object} options - The benchmark options.
+ * @param {string[]} [options.algorithms] - The keys of the algorithms to run, all of them by default.
+ * @param {object} [options.budget] - The time and node limits of each run, see CSP.setBudget.
+ * @param {object} [options.strategy] - The variable and value ordering heuristics and the restarts, see CSP.setStrategy.
+ * @param {number} [options.seed] - The seed of the random choices of every run, so they all make the same ones, a new
+ * one when it is not given.
+ * @param {number} [options.puzzleIndex] - The index of the puzzle in its batch, stored in the records.
+ * @param {number} [options.puzzleSeed] - The seed the puzzle was generated from, stored in the records.
+ * @param {function(object): void} [options.onRecord] - Called with each record as soon as its run ends.
+ * @returns {Array<object>} One record per algorithm with the puzzle size, seeds, status and METRICS.
+ */
+export function benchmarkPuzzle(puzzle, { algorithms = Object.keys(ALGORITHMS), budget = {}, strategy = {}, seed = randomSeed(), puzzleIndex = 0, puzzleSeed = null, onRecord = null } = {}) {
+  const records = [];
+  for (const algorithm of algorithms) {
+    const result = solve(puzzle, { algorithm, budget, strategy, seed });
+    const record = { rows: puzzle.rows, puzzle: puzzleIndex, puzzleSeed, algorithm, seed, status: result.status };
+    for (const metric of METRICS) {
+      record[metric] = result[metric];
+    }
+    records.push(record);
+    if (onRecord !== null) {
+      onRecord(record);
+    }
+  }
+  return records;
+}
+
+/**
+ * Runs every algorithm on a batch of generated puzzles for each row size.
+ *
+ * @param {object} options - The benchmark options, the ones of benchmarkPuzzle and the following.
+ * @param {number[]} [options.rowSizes] - The row sizes to generate puzzles for.
+ * @param {number} [options.count] - The number of puzzles per row size.
+ * @param {number} [options.columns] - The number of columns of the generated puzzles.
+ * @param {string} [options.difficulty] - The difficulty of the generated puzzles.
+ * @param {object} [options.rules] - The rules of the generated puzzles, see TennerGrid.Rules.
+ * @param {number} [options.seed] - The seed the seeds of the puzzles and of the runs are drawn from, so the same seed
+ * replays the whole batch, a new one when it is not given.
+ * @returns {Array<object>} The records of every run.
+ */
+export function benchmarkBatch({ rowSizes = [3, 4, 5, 6], count = 5, columns = 10, difficulty = "medium", rules = {}, seed = randomSeed(), ...options } = {}) {
+  const random = createRandom(seed);
+  const records = [];
+  for (const rows of rowSizes) {
+    for (let i = 0; i < count; i++) {
+      const { puzzle, seed: puzzleSeed } = Generator.generatePuzzle(rows, columns, difficulty, rules, randomSeed(random));
+      records.push(...benchmarkPuzzle(puzzle, { ...options, seed: randomSeed(random), puzzleIndex: i, puzzleSeed }));
+    }
+  }
+  return records;
+}
+
+/**
+ * Returns the mean, median and max of a list of numbers.
+ *
+ * @param {number[]} values - The numbers, at least one.
+ * @returns {object} The mean, median and max.
+ */
+function describe(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    mean: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    median: sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    max: sorted[sorted.length - 1],
+  };
+}
+
+/**
+ * Groups the records by algorithm and row size and sums up each metric.
+ * Runs that timed out are kept, with the effort they spent until the budget ran out.
+ *
+ * @param {Array<object>} records - The records of the benchmark runs.
+ * @returns {Array<object>} One summary per algorithm and row size, with the number of runs, of timed out runs,
+ * and the mean, median and max of every metric.
+ */
+export function summarize(records) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = record.algorithm + "/" + record.rows;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(record);
+  }
+  const summaries = [];
+  for (const group of groups.values()) {
+    const summary = {
+      algorithm: group[0].algorithm,
+      rows: group[0].rows,
+      runs: group.length,
+      timedOut: group.filter((record) => record.status === "timed out").length,
+    };
+    for (const metric of METRICS) {
+      summary[metric] = describe(group.map((record) => record[metric]));
+    }
+    summaries.push(summary);
+  }
+  return summaries;
+}
+
+/**
+ * Exports the records as CSV, one line per run.
+ *
+ * @param {Array<object>} records - The records of the benchmark runs.
+ * @returns {string} The CSV text with a header line.
+ */
+export function toCSV(records) {
+  const columns = ["rows", "puzzle", "puzzleSeed", "algorithm", "seed", "status", ...METRICS];
+  const lines = [columns.join(",")];
+  for (const record of records) {
+    lines.push(columns.map((column) => record[column] ?? "").join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Exports the records and their summary as JSON.
+ *
+ * @param {Array<object>} records - The records of the benchmark runs.
+ * @returns {string} The JSON text.
+ */
+export function toJSON(records) {
+  return JSON.stringify({ records, summary: summarize(records) }, null, 2);
+}
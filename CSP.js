@@ -1,65 +1,41 @@
 // following code segments inspired from David Kopec's video about 'Constraint-Satisfaction Problems in Python'
 // https://www.youtube.com/watch?v=D1LVbE8nyXs
-export class AllDifferentConstraint{
-    constructor(variables) {
-        this.variables = variables;
-    }
-    /**
-     * Checks if the given assignment satisfies the all-different constraint.
-     * The all-different constraint requires that all assigned values within the constraint
-     * are unique among each other.
-     *
-     * @param {object} assignment - The assignment of variables and their values.
-     * @returns {boolean} - True if all values are unique within the constraint, false otherwise.
-     */
-    satisfied(assignment) {
-        const currNotEqVariable = this.variables[0];
-        for (const variable of this.variables) {
-            if (variable !== currNotEqVariable && assignment[variable] !== undefined && assignment[currNotEqVariable] === assignment[variable]) {
-                return false; // If a value is repeated then the constraint is not satisfied
-            }
-        }
-        return true; // All values are unique within the constraint; constraint is satisfied
-    }
-}
+import { DomainStore } from './DomainStore.js';
+import { Nogood } from './Constraints.js';
+import { createRandom, randomSeed, shuffle } from './Random.js';
 
-export class ColumnSumConstraint  {
-    constructor(variables) {
-        this.variables = variables;
-        this.targetVar = variables[variables.length-1]; // The last variable in the list is the targetSum variable(all previous variables should sum to this)
-    }
-    
-    /**
-     * Checks if the given assignment satisfies the column sum constraint.
-     * The column sum constraint requires that the sum of assigned values in the specified variables
-     * (excluding the target variable) matches the pre-defined target sum.
-     *
-     * @param {object} assignment - The assignment of variables and their values.
-     * @returns {boolean} - True if the assignment satisfies the column sum constraint, false otherwise.
-     */
-    satisfied(assignment) {
-        const targetSum = assignment[this.targetVar];
-        if(targetSum === undefined) return true; // if the target sum hasn't been defined yet then the constraint is satisfied
-        let sum = 0;
-        let count = 0;
-        for(const variable of this.variables) {
-            if(variable !== this.targetVar && assignment[variable] !== undefined) {
-                sum += assignment[variable];
-                count++;
-            }
-        }
-        // if all variables have been assigned and the sum is not equal to the target sum then the constraint is not satisfied
-        if(count === this.variables.length-1 && sum !== targetSum) {
-            return false;
+// the constraints are part of the solver's interface, so they can be imported from here as well
+export * from './Constraints.js';
+export const VARIABLE_ORDERINGS = ['first', 'mrv', 'degree', 'mrv-degree', 'dom-wdeg'];
+export const VALUE_ORDERINGS = ['natural', 'lcv', 'random'];
+export const RESTART_STRATEGIES = ['none', 'luby', 'geometric'];
+const CLOCK_INTERVAL = 16; // the number of nodes between two looks at the clock, a MAC node can take milliseconds
+const PROGRESS_TIME = 100; // the time between two progress reports, in milliseconds
+const MAX_HISTORY = 1000; // the most points kept in the conflicts-over-time history of a local search
+const MAX_NOGOOD_SIZE = 12; // larger nogoods are too specific to prune anything, so they are not recorded
+const RESTART_UNIT = 100; // the number of backtracks of the shortest run between two restarts
+const RESTART_GROWTH = 1.5; // how much longer each run gets with geometric restarts
+
+/**
+ * Returns the i-th term of the Luby sequence 1, 1, 2, 1, 1, 2, 4, 1, 1, 2, 1, 1, 2, 4, 8, ...
+ * Restarting after luby(i) units is within a constant factor of the best fixed cutoff, whatever the problem.
+ *
+ * @param {number} i - The position in the sequence, starting at 1.
+ * @returns {number} - The term.
+ */
+function luby(i) {
+    for(;;) {
+        let k = 1;
+        while((1 << k) - 1 < i) {
+            k++;
         }
-        // or if the sum of the current assigned variables is greater than the target sum then the constraint is not satisfied
-        if(sum > targetSum) {
-            return false;
+        if(i === (1 << k) - 1) {
+            return 1 << (k - 1);
         }
-        // otherwise the constraint is satisfied
-        return true;
+        i -= (1 << (k - 1)) - 1; // the sequence repeats itself before each new power of two
     }
 }
+
 export class CSP {
     /**
      * Creates a new Constraint Satisfaction Problem (CSP).
@@ -72,6 +48,31 @@ export class CSP {
         this.domains = domains;
         this.constraints = {};
         this.consistencyChecks = 0;
+        this.backtracks = 0; // the number of times a variable ran out of values and the search had to go back
+        this.pruned = 0; // the number of values removed from domains by forward checking and arc consistency
+        this.maxDepth = 0; // the largest number of variables assigned at a node of the search tree
+        this.wipeouts = 0; // the number of times propagation left a variable without values
+        this.checksByConstraint = new Map(); // constraint class -> the number of times a constraint of that class was tested
+        this.prefixChecks = {}; // variable -> how many times the first k constraints of the variable were tested, by k
+        this.strategy = { variableOrdering: null, valueOrdering: 'natural', restarts: 'none' }; // null lets every search use its own variable ordering
+        this.random = createRandom(randomSeed()); // the generator of every random choice, see setSeed
+        this.weights = new Map(); // constraint -> number of failures it caused, used by the dom/wdeg heuristic
+        this.neighborCache = null;
+        this.listener = null; // called with every search event (assign, prune, conflict, wipeout, backtrack, solution)
+        this.progress = null; // called every PROGRESS_TIME milliseconds with the consistency checks, nodes and depth so far
+        this.nextProgress = 0; // when the next progress report is due
+        this.nodes = 0; // the number of nodes of the search tree expanded (steps for min-conflicts)
+        this.budget = { timeLimit: Infinity, nodeLimit: Infinity };
+        this.deadline = Infinity;
+        this.timedOut = false; // true once a search stopped because it ran out of budget
+        this.store = null; // the domains of the running search, see begin
+        this.assignment = {}; // the assignment of the running search, built in place
+        this.assignedCount = 0;
+        this.nogoods = new Map(); // variable -> the nogoods learned by the last backjumping search that involve it
+        this.conflictHistory = null; // the [step, violated constraints] points of the last local search
+        this.restartCutoff = Infinity; // the number of backtracks at which the running search restarts
+        this.restarting = false; // true while the search unwinds to restart from the root
+        this.rootDepth = 0; // the number of variables assigned at the root of the running search
         for(const variable of variables) {
             this.constraints[variable] = [];
             if(!(variable in domains)) {
@@ -93,9 +94,144 @@ export class CSP {
                 this.constraints[variable].push(constraint);
             }
         }
+        this.weights.set(constraint, 1);
+        this.neighborCache = null;
+    }
+    /**
+     * Sets the variable and value ordering heuristics used by the search methods.
+     *
+     * Variable orderings: 'first', 'mrv', 'degree', 'mrv-degree' and 'dom-wdeg'. When it is null (the default)
+     * every search method keeps its own ordering, e.g. backtrackingSearchWithMRV uses 'mrv'.
+     * Value orderings: 'natural' (domain order), 'lcv' (least constraining value first) and 'random'.
+     * Restarts: 'none', 'luby' or 'geometric'. The backtracking, forward checking and MAC searches then start over from
+     * the root once they have backtracked as many times as the cutoff of the run, with Luby or geometrically growing
+     * cutoffs. A restart only explores a different tree with the 'random' value ordering or the 'dom-wdeg' variable
+     * ordering (the constraint weights are kept).
+     *
+     * @param {object} strategy - An object with optional variableOrdering, valueOrdering and restarts keys.
+     * @throws {Error} - If an ordering or a restart strategy is unknown.
+     */
+    setStrategy(strategy) {
+        const { variableOrdering, valueOrdering, restarts } = { ...this.strategy, ...strategy };
+        if(variableOrdering !== null && !VARIABLE_ORDERINGS.includes(variableOrdering)) {
+            throw new Error(`Unknown variable ordering: ${variableOrdering}`);
+        }
+        if(!VALUE_ORDERINGS.includes(valueOrdering)) {
+            throw new Error(`Unknown value ordering: ${valueOrdering}`);
+        }
+        if(!RESTART_STRATEGIES.includes(restarts)) {
+            throw new Error(`Unknown restart strategy: ${restarts}`);
+        }
+        this.strategy = { variableOrdering, valueOrdering, restarts };
+    }
+    /**
+     * Seeds the generator of the random choices (the 'random' value ordering and min-conflicts), so a search can be
+     * replayed exactly.
+     *
+     * @param {number} seed - The seed, an integer from 0 to 2^32 - 1.
+     */
+    setSeed(seed) {
+        this.random = createRandom(seed);
+    }
+    /**
+     * Limits the time and the number of nodes the next searches may use.
+     * A search that runs out of budget returns null and sets timedOut, instead of running on forever.
+     *
+     * @param {object} budget - An object with optional timeLimit (milliseconds) and nodeLimit keys.
+     */
+    setBudget(budget) {
+        this.budget = { timeLimit: Infinity, nodeLimit: Infinity, ...budget };
+        this.deadline = Date.now() + this.budget.timeLimit;
+        this.nextProgress = Date.now() + PROGRESS_TIME;
+        this.timedOut = false;
+    }
+    /**
+     * Sets every search statistic back to zero. Each search, and the AC-3 preprocessing, starts by calling it, so the
+     * statistics describe a single run instead of adding up over every call on the CSP.
+     */
+    resetStatistics() {
+        this.consistencyChecks = 0;
+        this.nodes = 0;
+        this.backtracks = 0;
+        this.pruned = 0;
+        this.maxDepth = 0;
+        this.wipeouts = 0;
+        this.restarts = 0;
+        this.checksByConstraint = new Map();
+        this.prefixChecks = {};
+    }
+    /**
+     * Returns the statistics of the last run as plain data.
+     *
+     * @returns {object} - The consistency checks, nodes, backtracks, pruned values, maximum depth, wipeouts and restarts,
+     * and checksByConstraint: the number of constraint tests per constraint class name.
+     */
+    statistics() {
+        const counts = new Map(this.checksByConstraint);
+        for(const variable in this.prefixChecks) {
+            this.prefixChecks[variable].forEach((times, tested) => {
+                for(const constraint of this.constraints[variable].slice(0, tested)) {
+                    counts.set(constraint.constructor, (counts.get(constraint.constructor) ?? 0) + times);
+                }
+            });
+        }
+        const checksByConstraint = {};
+        for(const [type, count] of counts) {
+            checksByConstraint[type.name] = count;
+        }
+        return {
+            consistencyChecks: this.consistencyChecks,
+            nodes: this.nodes,
+            backtracks: this.backtracks,
+            pruned: this.pruned,
+            maxDepth: this.maxDepth,
+            wipeouts: this.wipeouts,
+            restarts: this.restarts,
+            checksByConstraint,
+        };
+    }
+    /**
+     * Counts tests of a constraint in the checks of its class.
+     *
+     * @param {Constraint} constraint - The constraint tested.
+     * @param {number} count - The number of tests.
+     */
+    countCheck(constraint, count = 1) {
+        const type = constraint.constructor;
+        this.checksByConstraint.set(type, (this.checksByConstraint.get(type) ?? 0) + count);
+    }
+    /**
+     * Counts a new node of the search tree, reports progress and checks the budget.
+     * The clock is read every few nodes rather than on a node count alone, since the cost of a node ranges from
+     * microseconds (backtracking) to milliseconds (MAC on large grids).
+     *
+     * @param {object} assignment - The assignment at the new node.
+     * @param {object} details - More values to report with the progress, e.g. the conflicts of a local search.
+     * @returns {boolean} - True if the search has to stop because the budget is exhausted, false otherwise.
+     */
+    expand(assignment, details = {}) {
+        this.nodes++;
+        if(this.assignedCount > this.maxDepth) {
+            this.maxDepth = this.assignedCount;
+        }
+        if(this.nodes % CLOCK_INTERVAL === 0) {
+            const now = Date.now();
+            if(this.progress !== null && now >= this.nextProgress) {
+                this.nextProgress = now + PROGRESS_TIME;
+                this.progress({ consistencyChecks: this.consistencyChecks, nodes: this.nodes, depth: Object.keys(assignment).length, ...details });
+            }
+            if(now > this.deadline) {
+                this.timedOut = true;
+            }
+        }
+        if(this.nodes > this.budget.nodeLimit) {
+            this.timedOut = true;
+        }
+        return this.timedOut;
     }
     /**
     * Checks if an assignment is consistent by checking all constraints.
+    * The constraint that failed is kept in lastConflict.
     *
     * @param {string} variable - The variable to check consistency for.
     * @param {object} assignment - The assignment of variables and their values.
@@ -104,7 +240,9 @@ export class CSP {
     consistent(variable, assignment) {
         this.consistencyChecks++;
         for(const constraint of this.constraints[variable]) {
+            this.countCheck(constraint);
             if(!constraint.satisfied(assignment)) {
+                this.lastConflict = constraint;
                 return false;
             }
         }
@@ -117,26 +255,7 @@ export class CSP {
      * @returns {object|null} - The complete assignment if a solution is found, or null if no solution exists.
      */
     backtrackingSearch(assignment = {}) {
-        if(Object.keys(assignment).length === this.variables.length) {
-            // assignment is complete
-            return assignment;
-        }
-        // get all variables in CSP but not in assignment
-        const unassigned = this.variables.filter(v => !(v in assignment));
-        // get every possible domain value of the first unassigned variable
-        const first = unassigned[0];
-        for(const value of this.domains[first]) {
-            const localAssignment = {...assignment};
-            localAssignment[first] = value;
-            // if we're still consistent, we recurse (continue)
-            if(this.consistent(first, localAssignment)) {
-                const result = this.backtrackingSearch(localAssignment);
-                if(result !== null) {
-                    return result;
-                }
-            }
-        }
-        return null;
+        return this.search(assignment, this.domains, 'none', 'first');
     }
     /**
      * Performs a backtracking search to find a solution to the Constraint Satisfaction Problem (CSP) using the Minimum Remaining Values (MRV) heuristic.
@@ -145,25 +264,7 @@ export class CSP {
      * @returns {object|null} - The complete assignment if a solution is found, or null if no solution exists.
      */
     backtrackingSearchWithMRV(assignment = {}) {
-        if(Object.keys(assignment).length === this.variables.length) {
-            // assignment is complete
-            return assignment;
-        }
-        // use mrv to get the unassigned variable with the least remaining values
-        const unassigned = this.variables.filter(v => !(v in assignment));
-        const first = this.mrv(unassigned);
-        for(const value of this.domains[first]) {
-            const localAssignment = {...assignment};
-            localAssignment[first] = value;
-            // if we're still consistent, we recurse (continue)
-            if(this.consistent(first, localAssignment)) {
-                const result = this.backtrackingSearchWithMRV(localAssignment);
-                if(result !== null) {
-                    return result;
-                }
-            }
-        }
-        return null;
+        return this.search(assignment, this.domains, 'none', 'mrv');
     }
     /**
      * Performs a forward checking search to find a solution to the Constraint Satisfaction Problem (CSP).
@@ -173,61 +274,609 @@ export class CSP {
      * @returns {object|null} - The complete assignment if a solution is found, or null if no solution exists.
      */
     forwardCheckingSearch(assignment = {}, domains = this.domains) {
-        if(Object.keys(assignment).length === this.variables.length) {
+        return this.search(assignment, domains, 'forwardChecking', 'first');
+    }
+    /**
+     * Performs a forward checking search to find a solution to the Constraint Satisfaction Problem (CSP) using the Minimum Remaining Values (MRV) heuristic.
+     *
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @param {object} domains - The current domains of variables and their possible values.
+     * @returns {object|null} - The complete assignment if a solution is found, or null if no solution exists.
+     */
+    forwardCheckingSearchWithMRV(assignment = {}, domains = this.domains) {
+        return this.search(assignment, domains, 'forwardChecking', 'mrv');
+    }
+    /**
+     * Performs a Maintaining Arc Consistency (MAC) search to find a solution to the Constraint Satisfaction Problem (CSP).
+     * After every assignment the full AC-3 propagation is run instead of only checking the direct neighbours.
+     *
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @param {object} domains - The current domains of variables and their possible values.
+     * @returns {object|null} - The complete assignment if a solution is found, or null if no solution exists.
+     */
+    macSearch(assignment = {}, domains = this.domains) {
+        return this.search(assignment, domains, 'mac', 'first');
+    }
+    /**
+     * Performs a Maintaining Arc Consistency (MAC) search to find a solution to the Constraint Satisfaction Problem (CSP) using the Minimum Remaining Values (MRV) heuristic.
+     *
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @param {object} domains - The current domains of variables and their possible values.
+     * @returns {object|null} - The complete assignment if a solution is found, or null if no solution exists.
+     */
+    macSearchWithMRV(assignment = {}, domains = this.domains) {
+        return this.search(assignment, domains, 'mac', 'mrv');
+    }
+    /**
+     * Performs a conflict-directed backjumping (CBJ) search to find a solution to the Constraint Satisfaction Problem (CSP).
+     * When a variable runs out of values the search jumps straight back to the latest variable in its conflict set,
+     * skipping the variables that played no part in the failure.
+     *
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @returns {object|null} - The complete assignment if a solution is found, or null if no solution exists.
+     */
+    cbjSearch(assignment = {}) {
+        return this.backjumpingSearch(assignment, 'first', false);
+    }
+    /**
+     * Performs a conflict-directed backjumping (CBJ) search to find a solution to the Constraint Satisfaction Problem (CSP) using the Minimum Remaining Values (MRV) heuristic.
+     *
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @returns {object|null} - The complete assignment if a solution is found, or null if no solution exists.
+     */
+    cbjSearchWithMRV(assignment = {}) {
+        return this.backjumpingSearch(assignment, 'mrv', false);
+    }
+    /**
+     * Performs a conflict-directed backjumping (CBJ) search with the Minimum Remaining Values (MRV) heuristic that also
+     * records a nogood for every dead end, so the same combination of values is rejected at once when it comes back.
+     *
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @returns {object|null} - The complete assignment if a solution is found, or null if no solution exists.
+     */
+    cbjSearchWithNogoods(assignment = {}) {
+        return this.backjumpingSearch(assignment, 'mrv', true);
+    }
+    /**
+     * The search shared by the backjumping search methods.
+     *
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @param {string} defaultOrdering - The variable ordering to use when the strategy does not set one.
+     * @param {boolean} learn - Whether to record nogoods.
+     * @returns {object|null} - The complete assignment if a solution is found, or null if no solution exists.
+     */
+    backjumpingSearch(assignment, defaultOrdering, learn) {
+        this.begin(assignment, this.domains);
+        this.nogoods = new Map();
+        return this.backjump(defaultOrdering, learn).solution;
+    }
+
+    /**
+     * The search shared by all the search methods: a backtracking search with an optional inference step
+     * after each assignment, using the configured variable and value ordering heuristics.
+     *
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @param {object} domains - The current domains of variables and their possible values.
+     * @param {string} inference - 'none', 'forwardChecking' or 'mac'.
+     * @param {string} defaultOrdering - The variable ordering to use when the strategy does not set one.
+     * @returns {object|null} - The complete assignment if a solution is found, or null if no solution exists.
+     */
+    search(assignment, domains, inference, defaultOrdering) {
+        this.begin(assignment, domains);
+        this.rootDepth = this.assignedCount;
+        for(let run = 1; ; run++) {
+            this.restarting = false;
+            switch(this.strategy.restarts) {
+                case 'luby':
+                    this.restartCutoff = this.backtracks + RESTART_UNIT * luby(run);
+                    break;
+                case 'geometric':
+                    this.restartCutoff = this.backtracks + Math.round(RESTART_UNIT * RESTART_GROWTH ** (run - 1));
+                    break;
+                default:
+                    this.restartCutoff = Infinity;
+            }
+            // every node undoes its changes on the way back, so a restart finds the root as it was
+            const result = this.backtrack(inference, defaultOrdering);
+            if(!this.restarting) {
+                return result;
+            }
+            this.restarts++;
+            this.emit({ type: 'restart', run });
+        }
+    }
+
+    /**
+     * Sets up the search state: the domains go into a DomainStore and the assignment is built in place,
+     * so a node of the search tree only records what it changes and undoes it when backtracking.
+     * The timedOut flag of the previous search is cleared, the budget set by setBudget still applies.
+     *
+     * @param {object} assignment - The assignment to start from.
+     * @param {object} domains - The domains to start from.
+     */
+    begin(assignment, domains) {
+        this.resetStatistics();
+        this.timedOut = false;
+        this.store = new DomainStore(this.variables, domains);
+        this.assignment = {};
+        this.assignedCount = 0;
+        for(const constraint of this.weights.keys()) {
+            constraint.reset();
+        }
+        for(const variable in assignment) {
+            this.assign(variable, assignment[variable]);
+        }
+    }
+
+    /**
+     * Assigns a value to a variable in the search assignment and updates the bookkeeping of its constraints.
+     *
+     * @param {string} variable - The variable to assign.
+     * @param {*} value - Its value.
+     */
+    assign(variable, value) {
+        this.assignment[variable] = value;
+        this.assignedCount++;
+        for(const constraint of this.constraints[variable]) {
+            constraint.assign(variable, value);
+        }
+    }
+
+    /**
+     * Removes a variable from the search assignment and updates the bookkeeping of its constraints.
+     *
+     * @param {string} variable - The variable to unassign.
+     */
+    unassign(variable) {
+        const value = this.assignment[variable];
+        delete this.assignment[variable];
+        this.assignedCount--;
+        for(const constraint of this.constraints[variable]) {
+            constraint.unassign(variable, value);
+        }
+    }
+
+    /**
+     * Checks if an unassigned variable can take a value without breaking the constraints with the search assignment.
+     * It counts as one consistency check, like consistent, and the constraint that failed is kept in lastConflict.
+     *
+     * @param {string} variable - The unassigned variable.
+     * @param {*} value - The value to check.
+     * @returns {boolean} - True if the value is consistent with the assignment, false otherwise.
+     */
+    allowed(variable, value) {
+        this.consistencyChecks++;
+        // counting the checks of each constraint here would slow down the search, only the number tested is kept
+        const constraints = this.constraints[variable];
+        const counts = this.prefixChecks[variable] ??= new Array(constraints.length + 1).fill(0);
+        for(let i = 0; i < constraints.length; i++) {
+            if(!constraints[i].allows(variable, value, this.assignment)) {
+                this.lastConflict = constraints[i];
+                counts[i + 1]++;
+                return false;
+            }
+        }
+        counts[constraints.length]++;
+        return true;
+    }
+
+    /**
+     * One node of the search: picks a variable, then tries its values, recursing after each consistent one.
+     * Everything a value changed (the assignment and the pruned domains) is undone before the next one is tried.
+     *
+     * @param {string} inference - 'none', 'forwardChecking' or 'mac'.
+     * @param {string} defaultOrdering - The variable ordering to use when the strategy does not set one.
+     * @returns {object|null} - The complete assignment if a solution is found, or null if no solution exists.
+     */
+    backtrack(inference, defaultOrdering) {
+        if(this.expand(this.assignment)) {
+            return null;
+        }
+        if(this.assignedCount === this.variables.length) {
             // assignment is complete
-            return assignment;
-        }
-        // get all variables in CSP but not in assignment
-        const unassigned = this.variables.filter(v => !(v in assignment));
-        const first = unassigned[0];
-        for(const value of domains[first]) {
-            const localAssignment = {...assignment};
-            localAssignment[first] = value;
+            const solution = {...this.assignment};
+            this.emit({ type: 'solution', assignment: solution });
+            return solution;
+        }
+        // get all variables in CSP but not in assignment and pick the next one with the variable ordering heuristic
+        const unassigned = this.variables.filter(v => !(v in this.assignment));
+        const first = this.selectUnassignedVariable(unassigned, this.assignment, this.strategy.variableOrdering ?? defaultOrdering);
+        for(const value of this.orderDomainValues(first, this.assignment)) {
+            if(this.listener !== null) {
+                this.emit({ type: 'assign', variable: first, value, domains: this.store.toObject() });
+            }
             // if we're still consistent, we recurse (continue)
-            if(this.consistent(first, localAssignment)) {
-                const localDomain = {...domains};
-                if(this.forwardChecking(first, localAssignment, localDomain)) {
-                    const result = this.forwardCheckingSearch(localAssignment, localDomain);
-                    if(result !== null) {
-                        return result;
-                    }
+            if(!this.allowed(first, value)) {
+                this.increaseWeight(this.lastConflict);
+                this.emit({ type: 'conflict', variable: first, value, constraint: this.lastConflict });
+                continue;
+            }
+            const mark = this.store.mark();
+            this.assign(first, value);
+            if(inference === 'mac') {
+                this.store.restrict(first, value);
+            }
+            let result = null;
+            if(inference === 'none'
+                || (inference === 'forwardChecking' && this.forwardChecking(first))
+                || (inference === 'mac' && this.ac3(this.arcsTo(first)))) {
+                result = this.backtrack(inference, defaultOrdering);
+            }
+            this.unassign(first);
+            this.store.undo(mark);
+            if(result !== null || this.timedOut || this.restarting) {
+                return result;
+            }
+        }
+        this.backtracks++;
+        this.emit({ type: 'backtrack', variable: first });
+        // when the root runs out of values the search is over, there is nothing left to restart
+        if(this.backtracks >= this.restartCutoff && this.assignedCount > this.rootDepth) {
+            this.restarting = true;
+        }
+        return null;
+    }
+
+    /**
+     * One node of the backjumping search. Each value that fails adds the assigned variables to blame to the conflict
+     * set of the variable, and a failed subtree adds its own conflict set. When the conflict set returned by a subtree
+     * does not contain the variable, changing its value cannot help, so the node returns at once (the jump).
+     *
+     * @param {string} defaultOrdering - The variable ordering to use when the strategy does not set one.
+     * @param {boolean} learn - Whether to record nogoods.
+     * @returns {object} - The solution (null if none was found below this node) and the conflict set explaining the failure.
+     */
+    backjump(defaultOrdering, learn) {
+        if(this.expand(this.assignment)) {
+            return { solution: null, conflicts: new Set() };
+        }
+        if(this.assignedCount === this.variables.length) {
+            // assignment is complete
+            const solution = {...this.assignment};
+            this.emit({ type: 'solution', assignment: solution });
+            return { solution, conflicts: null };
+        }
+        const unassigned = this.variables.filter(v => !(v in this.assignment));
+        const first = this.selectUnassignedVariable(unassigned, this.assignment, this.strategy.variableOrdering ?? defaultOrdering);
+        const conflicts = new Set(); // the assigned variables that explain why the values of first failed so far
+        for(const value of this.orderDomainValues(first, this.assignment)) {
+            if(this.listener !== null) {
+                this.emit({ type: 'assign', variable: first, value, domains: this.store.toObject() });
+            }
+            const culprit = this.allowed(first, value) ? this.violatedNogood(first, value) : this.lastConflict;
+            if(culprit !== null) {
+                if(this.weights.has(culprit)) {
+                    this.increaseWeight(culprit);
+                }
+                this.emit({ type: 'conflict', variable: first, value, constraint: culprit });
+                for(const variable of culprit.culprits(first, value, this.assignment)) {
+                    conflicts.add(variable);
+                }
+                continue;
+            }
+            this.assign(first, value);
+            const result = this.backjump(defaultOrdering, learn);
+            this.unassign(first);
+            if(result.solution !== null || this.timedOut) {
+                return result;
+            }
+            if(!result.conflicts.has(first)) {
+                // first played no part in the failure below, jump back over it
+                this.emit({ type: 'backtrack', variable: first });
+                return result;
+            }
+            for(const variable of result.conflicts) {
+                if(variable !== first) {
+                    conflicts.add(variable);
                 }
             }
         }
+        this.backtracks++;
+        if(learn) {
+            this.recordNogood(conflicts);
+        }
+        this.emit({ type: 'backtrack', variable: first });
+        return { solution: null, conflicts };
+    }
+
+    /**
+     * Looks for a learned nogood that an assignment of a variable would complete. Every nogood tested counts as a
+     * consistency check.
+     *
+     * @param {string} variable - The unassigned variable.
+     * @param {*} value - The value it would take.
+     * @returns {Nogood|null} - The violated nogood, or null if there is none.
+     */
+    violatedNogood(variable, value) {
+        const nogoods = this.nogoods.get(variable) ?? [];
+        for(let i = 0; i < nogoods.length; i++) {
+            if(!nogoods[i].allows(variable, value, this.assignment)) {
+                this.consistencyChecks += i + 1;
+                this.countCheck(nogoods[i], i + 1);
+                return nogoods[i];
+            }
+        }
+        this.consistencyChecks += nogoods.length;
+        if(nogoods.length > 0) {
+            this.countCheck(nogoods[0], nogoods.length);
+        }
         return null;
     }
+
     /**
-     * Performs a forward checking search to find a solution to the Constraint Satisfaction Problem (CSP) using the Minimum Remaining Values (MRV) heuristic.
+     * Records the current values of a conflict set as a nogood: no solution extends them.
+     *
+     * @param {Set<string>} conflicts - The assigned variables to blame for a dead end.
+     */
+    recordNogood(conflicts) {
+        if(conflicts.size === 0 || conflicts.size > MAX_NOGOOD_SIZE) {
+            return;
+        }
+        const variables = [...conflicts];
+        const nogood = new Nogood(variables, variables.map(variable => this.assignment[variable]));
+        for(const variable of variables) {
+            if(!this.nogoods.has(variable)) {
+                this.nogoods.set(variable, []);
+            }
+            this.nogoods.get(variable).push(nogood);
+        }
+    }
+
+    /**
+     * Enumerates every solution of the CSP with a forward checking search, one at a time.
+     * The search is lazy, so the caller can stop after as many solutions as it needs.
      *
      * @param {object} assignment - The current assignment of variables and their values.
      * @param {object} domains - The current domains of variables and their possible values.
-     * @returns {object|null} - The complete assignment if a solution is found, or null if no solution exists.
+     * @yields {object} - Each complete assignment that satisfies all the constraints.
      */
-    forwardCheckingSearchWithMRV(assignment = {}, domains = this.domains) {
-        if(Object.keys(assignment).length === this.variables.length) {
+    *solutions(assignment = {}, domains = this.domains) {
+        this.begin(assignment, domains);
+        yield* this.enumerate();
+    }
+
+    /**
+     * One node of the enumeration of solutions, see solutions.
+     *
+     * @yields {object} - Each complete assignment below this node.
+     */
+    *enumerate() {
+        if(this.expand(this.assignment)) {
+            return;
+        }
+        if(this.assignedCount === this.variables.length) {
             // assignment is complete
-            return assignment;
-        }
-        // get all variables in CSP but not in assignment
-        const unassigned = this.variables.filter(v => !(v in assignment));
-        const first = this.mrv(unassigned);
-        for(const value of domains[first]) {
-            const localAssignment = {...assignment};
-            localAssignment[first] = value;
-            // if we're still consistent, we recurse (continue)
-            if(this.consistent(first, localAssignment)) {
-                const localDomain = {...domains};
-                if(this.forwardChecking(first, localAssignment, localDomain)) {
-                    const result = this.forwardCheckingSearchWithMRV(localAssignment, localDomain);
-                    if(result !== null) {
-                        return result;
+            yield {...this.assignment};
+            return;
+        }
+        const unassigned = this.variables.filter(v => !(v in this.assignment));
+        const first = this.selectUnassignedVariable(unassigned, this.assignment, this.strategy.variableOrdering ?? 'mrv');
+        for(const value of this.orderDomainValues(first, this.assignment)) {
+            if(this.allowed(first, value)) {
+                const mark = this.store.mark();
+                this.assign(first, value);
+                if(this.forwardChecking(first)) {
+                    // unlike the search methods we keep going after a solution is found
+                    yield* this.enumerate();
+                }
+                this.unassign(first);
+                this.store.undo(mark);
+                if(this.timedOut) {
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * Counts the solutions of the CSP, stopping early once the limit is reached.
+     *
+     * @param {number} limit - The number of solutions after which counting stops.
+     * @returns {number} - The number of solutions found, at most limit.
+     */
+    countSolutions(limit = Infinity) {
+        let count = 0;
+        for(const _ of this.solutions()) {
+            count++;
+            if(count >= limit) {
+                break;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Checks if the CSP has exactly one solution, as a well-made puzzle should.
+     *
+     * @returns {boolean} - True if there is exactly one solution, false if there is none or more than one.
+     */
+    isUnique() {
+        return this.countSolutions(2) === 1;
+    }
+
+    /**
+     * Solves the CSP with the min-conflicts local search. It starts from a random complete assignment (variables with
+     * a single value keep it) and repeatedly reassigns the most conflicted variable to its least conflicting value.
+     * Ties are broken at random, a step is a random walk with probability noise, recently changed variables are tabu
+     * for a few steps, and the search restarts from a new random assignment when it stops improving.
+     * Every step counts as a node, every constraint checked counts as a consistency check and every new random start
+     * after the first counts as a restart. The depth is the number of variables, since every step assigns all of them.
+     * Unlike the tree searches it can only prove that there is no solution when a violated constraint involves
+     * variables with a single value alone (counted as a wipeout): running out of steps counts as running out of budget.
+     * The number of violated constraints over time is kept in conflictHistory.
+     *
+     * @param {object} options - The search options.
+     * @param {number} [options.maxSteps] - The number of steps after which the search gives up.
+     * @param {number} [options.noise] - The probability of moving a random conflicted variable instead of the most conflicted one.
+     * @param {number} [options.tabuTenure] - The number of steps during which a reassigned variable is not picked again.
+     * @param {number} [options.restartAfter] - The number of steps without a new best assignment after which the search restarts.
+     * @returns {object|null} - A complete assignment satisfying every constraint, or null if none was found.
+     */
+    minConflicts({ maxSteps = 100000, noise = 0.1, tabuTenure = 10, restartAfter = 2000 } = {}) {
+        this.resetStatistics();
+        this.timedOut = false;
+        this.assignedCount = this.variables.length; // every step is a complete assignment, which is its depth
+        const constraints = [...this.weights.keys()];
+        const free = this.variables.filter(v => this.domains[v].length > 1);
+        const pick = values => values[Math.floor(this.random() * values.length)];
+        let historyInterval = 1;
+        this.conflictHistory = [];
+        for(let step = 0; step < maxSteps;) {
+            // a new random start
+            if(step > 0) {
+                this.restarts++;
+                this.emit({ type: 'restart', run: this.restarts });
+            }
+            const assignment = {};
+            for(const variable of this.variables) {
+                assignment[variable] = pick(this.domains[variable]);
+                if(this.listener !== null && this.domains[variable].length > 1) {
+                    this.emit({ type: 'assign', variable, value: assignment[variable], domains: this.domains });
+                }
+            }
+            const tabu = new Map(); // variable -> the step until which it may not be picked
+            let best = Infinity;
+            let lastImprovement = step;
+            for(; step < maxSteps && step - lastImprovement <= restartAfter; step++) {
+                // the violated constraints, and how many of them each variable is part of
+                const conflicts = new Map();
+                let violated = 0;
+                for(const constraint of constraints) {
+                    this.consistencyChecks++;
+                    this.countCheck(constraint);
+                    if(!constraint.satisfied(assignment)) {
+                        violated++;
+                        for(const variable of constraint.variables) {
+                            conflicts.set(variable, (conflicts.get(variable) ?? 0) + 1);
+                        }
+                    }
+                }
+                if(step % historyInterval === 0) {
+                    this.conflictHistory.push([step, violated]);
+                    if(this.conflictHistory.length > MAX_HISTORY) {
+                        // keep every other point, so a long search still fits
+                        this.conflictHistory = this.conflictHistory.filter((_, i) => i % 2 === 0);
+                        historyInterval *= 2;
                     }
                 }
+                if(violated === 0) {
+                    this.emit({ type: 'solution', assignment });
+                    return assignment;
+                }
+                if(this.expand(assignment, { conflicts: violated })) {
+                    return null;
+                }
+                if(violated < best) {
+                    best = violated;
+                    lastImprovement = step;
+                }
+                // the most conflicted variable that is not tabu, or a random conflicted one
+                const candidates = free.filter(v => conflicts.has(v));
+                if(candidates.length === 0) {
+                    // the violated constraints only involve variables with a single value, which no step can change
+                    this.wipeouts++;
+                    return null;
+                }
+                const allowed = candidates.filter(v => !(tabu.get(v) > step));
+                let variable;
+                if(this.random() < noise || allowed.length === 0) {
+                    variable = pick(candidates);
+                } else {
+                    const most = Math.max(...allowed.map(v => conflicts.get(v)));
+                    variable = pick(allowed.filter(v => conflicts.get(v) === most));
+                }
+                // the value breaking the fewest of its constraints, other than its current one
+                const current = assignment[variable];
+                let fewest = Infinity;
+                let bestValues = [];
+                for(const value of this.domains[variable]) {
+                    if(value === current) {
+                        continue;
+                    }
+                    assignment[variable] = value;
+                    let count = 0;
+                    for(const constraint of this.constraints[variable]) {
+                        this.consistencyChecks++;
+                        this.countCheck(constraint);
+                        if(!constraint.satisfied(assignment)) {
+                            count++;
+                        }
+                    }
+                    if(count < fewest) {
+                        fewest = count;
+                        bestValues = [value];
+                    } else if(count === fewest) {
+                        bestValues.push(value);
+                    }
+                }
+                assignment[variable] = pick(bestValues);
+                tabu.set(variable, step + tabuTenure);
+                if(this.listener !== null) {
+                    this.emit({ type: 'assign', variable, value: assignment[variable], domains: this.domains });
+                }
             }
         }
+        this.timedOut = true; // out of steps, which says nothing about whether a solution exists
         return null;
     }
 
+    /**
+     * Picks the next variable to assign using a variable ordering heuristic.
+     *
+     * @param {array} unassigned - The list of unassigned variables.
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @param {string} ordering - One of 'first', 'mrv', 'degree', 'mrv-degree' or 'dom-wdeg'.
+     * @returns {string} - The variable to assign next.
+     */
+    selectUnassignedVariable(unassigned, assignment, ordering) {
+        const store = this.store;
+        switch(ordering) {
+            case 'first':
+                return unassigned[0];
+            case 'mrv':
+                return this.mrv(unassigned);
+            case 'degree':
+                // the variable involved in the most constraints with unassigned variables
+                return unassigned.reduce((a, b) => this.degree(b, assignment) > this.degree(a, assignment) ? b : a);
+            case 'mrv-degree':
+                // the least remaining values, ties broken by the highest degree
+                return unassigned.reduce((a, b) => {
+                    if(store.size(a) !== store.size(b)) {
+                        return store.size(a) < store.size(b) ? a : b;
+                    }
+                    return this.degree(b, assignment) > this.degree(a, assignment) ? b : a;
+                });
+            case 'dom-wdeg':
+                // the smallest ratio of remaining values to the weight of the constraints that failed around the variable
+                return unassigned.reduce((a, b) =>
+                    store.size(b) / this.weightedDegree(b, assignment) < store.size(a) / this.weightedDegree(a, assignment) ? b : a);
+            default:
+                throw new Error(`Unknown variable ordering: ${ordering}`);
+        }
+    }
+
+    /**
+     * Orders the values of a variable using the configured value ordering heuristic.
+     *
+     * @param {string} variable - The variable about to be assigned.
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @returns {array} - The values of the domain of the variable in the order they should be tried.
+     */
+    orderDomainValues(variable, assignment) {
+        const values = this.store.values(variable); // a new array, so it can be reordered
+        switch(this.strategy.valueOrdering) {
+            case 'lcv': {
+                // try first the value that rules out the fewest values in the domains of the unassigned neighbours
+                const ruledOut = new Map(values.map(value => [value, this.countRuledOut(variable, value, assignment)]));
+                return values.sort((a, b) => ruledOut.get(a) - ruledOut.get(b));
+            }
+            case 'random':
+                return shuffle(values, this.random);
+            default:
+                return values;
+        }
+    }
+
     /**
      * Returns the unassigned variable with the least remaining values.
      *
@@ -235,8 +884,9 @@ export class CSP {
      * @returns {string} - The unassigned variable with the least remaining values.
      */
     mrv(unassigned) {
+        const store = this.store;
         return unassigned.reduce((a, b) => {
-            if(this.domains[a].length < this.domains[b].length) {
+            if(store.size(a) < store.size(b)) {
                 return a;
             } else {
                 return b;
@@ -245,31 +895,131 @@ export class CSP {
     }
 
     /**
-     * Performs forward checking by looping over all neighbours(variables of the same constraint) of the given variable
-     * and removes inconsistent values from their domains.
-     * 
-     * @param {string} variable - The variable to perform forward checking on.
+     * Returns the neighbours of a variable, i.e. all the other variables that share a constraint with it.
+     *
+     * @param {string} variable - The variable to get the neighbours of.
+     * @returns {Set<string>} - The neighbours of the variable.
+     */
+    neighbors(variable) {
+        if(this.neighborCache === null) {
+            this.neighborCache = {};
+            for(const v of this.variables) {
+                this.neighborCache[v] = new Set(this.constraints[v].flatMap(constraint => constraint.variables));
+                this.neighborCache[v].delete(v);
+            }
+        }
+        return this.neighborCache[variable];
+    }
+
+    /**
+     * Returns the number of unassigned variables that share a constraint with the given variable.
+     *
+     * @param {string} variable - The variable to get the degree of.
      * @param {object} assignment - The current assignment of variables and their values.
-     * @param {object} domains - The current domains of variables and their possible values.
+     * @returns {number} - The degree of the variable.
+     */
+    degree(variable, assignment) {
+        let degree = 0;
+        for(const neighbor of this.neighbors(variable)) {
+            if(!(neighbor in assignment)) {
+                degree++;
+            }
+        }
+        return degree;
+    }
+
+    /**
+     * Returns the sum of the weights of the constraints of a variable that still involve another unassigned variable.
+     *
+     * @param {string} variable - The variable to get the weighted degree of.
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @returns {number} - The weighted degree of the variable, at least 1.
+     */
+    weightedDegree(variable, assignment) {
+        let weight = 0;
+        for(const constraint of this.constraints[variable]) {
+            if(constraint.variables.some(v => v !== variable && !(v in assignment))) {
+                weight += this.weights.get(constraint);
+            }
+        }
+        return Math.max(weight, 1);
+    }
+
+    /**
+     * Sends a search event to the listener, if one is set.
+     * The domains carried by the events are the ones of the search and must not be modified by the listener.
+     *
+     * @param {object} event - The event, with a type and the variable it is about.
+     */
+    emit(event) {
+        if(this.listener !== null) {
+            this.listener(event);
+        }
+    }
+
+    /**
+     * Increases the dom/wdeg weight of a constraint after it caused a failure.
+     *
+     * @param {object} constraint - The constraint that failed.
+     */
+    increaseWeight(constraint) {
+        this.weights.set(constraint, this.weights.get(constraint) + 1);
+    }
+
+    /**
+     * Counts how many values in the domains of the unassigned neighbours would become inconsistent
+     * if the given variable took the given value.
+     *
+     * @param {string} variable - The variable about to be assigned.
+     * @param {*} value - The value to evaluate.
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @returns {number} - The number of neighbour values ruled out.
+     */
+    countRuledOut(variable, value, assignment) {
+        this.assign(variable, value);
+        let count = 0;
+        for(const neighbor of this.neighbors(variable)) {
+            if(!(neighbor in assignment)) {
+                for(const val of this.store.values(neighbor)) {
+                    if(!this.allowed(neighbor, val)) {
+                        count++;
+                    }
+                }
+            }
+        }
+        this.unassign(variable);
+        return count;
+    }
+
+    /**
+     * Performs forward checking by looping over all neighbours(variables of the same constraint) of the given variable
+     * and removes inconsistent values from their domains. Each constraint decides whether it watches the variable.
+     *
+     * @param {string} variable - The variable to perform forward checking on, it has just been assigned.
      * @returns {boolean} - True if forward checking is successful, false otherwise.
      */
-    forwardChecking(variable, assignment, domains) {
+    forwardChecking(variable) {
+        const store = this.store;
         for(const constraint of this.constraints[variable]) {
-            if((constraint instanceof AllDifferentConstraint && constraint.variables[0] === variable) || constraint instanceof ColumnSumConstraint) {
+            if(constraint.watches(variable)) {
                 for(const neighbor of constraint.variables) {
-                    if(!(neighbor in assignment)) {
-                        for(const val of domains[neighbor]) {
-                            assignment[neighbor] = val;
-                            if(!this.consistent(neighbor, assignment)) {
+                    if(!(neighbor in this.assignment)) {
+                        for(const val of store.values(neighbor)) {
+                            if(!this.allowed(neighbor, val)) {
                                 // if the value is inconsistent then remove it from the domain of the neighbor
-                                domains[neighbor] = domains[neighbor].filter(v => v !== val);
+                                store.remove(neighbor, val);
+                                this.pruned++;
+                                if(this.listener !== null) {
+                                    this.emit({ type: 'prune', variable: neighbor, removed: [val], domain: store.values(neighbor), constraint });
+                                }
                                 // if the domain of any neighbor is empty then the assignment is not consistent
-                                if(domains[neighbor].length === 0) {
-                                    delete assignment[neighbor];
+                                if(store.size(neighbor) === 0) {
+                                    this.wipeouts++;
+                                    this.increaseWeight(constraint);
+                                    this.emit({ type: 'wipeout', variable: neighbor, constraint });
                                     return false;
                                 }
                             }
-                            delete assignment[neighbor];
                         }
                     }
                 }
@@ -278,4 +1028,116 @@ export class CSP {
         return true;
     }
     
-}
\ No newline at end of file
+    /**
+     * Returns the arcs (variable, constraint) pointing at the given variable, i.e. every other variable
+     * sharing a constraint with it. These are the arcs that have to be revised once its domain shrinks.
+     *
+     * @param {string} variable - The variable whose domain changed.
+     * @returns {Array<Array>} - A list of [variable, constraint] arcs.
+     */
+    arcsTo(variable) {
+        const arcs = [];
+        for(const constraint of this.constraints[variable]) {
+            for(const neighbor of constraint.variables) {
+                if(neighbor !== variable) {
+                    arcs.push([neighbor, constraint]);
+                }
+            }
+        }
+        return arcs;
+    }
+
+    /**
+     * Removes the values of a variable that have no support in the given constraint, using the support test the
+     * constraint supplies. Every value tested counts as a consistency check.
+     *
+     * @param {string} variable - The variable whose domain is revised.
+     * @param {Constraint} constraint - The constraint to revise the variable against.
+     * @returns {boolean} - True if the domain of the variable was reduced, false otherwise.
+     */
+    revise(variable, constraint) {
+        const store = this.store;
+        const supported = constraint.supports(variable, store);
+        const values = store.values(variable);
+        let removed = null;
+        for(const value of values) {
+            if(!supported(value)) {
+                (removed ??= []).push(value);
+            }
+        }
+        this.consistencyChecks += values.length;
+        this.countCheck(constraint, values.length);
+        if(removed === null) {
+            return false;
+        }
+        for(const value of removed) {
+            store.remove(variable, value);
+        }
+        this.pruned += removed.length;
+        if(this.listener !== null) {
+            this.emit({ type: 'prune', variable, removed, domain: store.values(variable), constraint });
+        }
+        return true;
+    }
+
+    /**
+     * Enforces arc consistency on the domains of the search with the AC-3 algorithm.
+     * Every arc in the queue is revised, and whenever a domain shrinks the arcs pointing at that variable are revised
+     * again. The variables that shrank are queued rather than their arcs, so a variable that shrinks several times
+     * before its turn only has its arcs revised once.
+     *
+     * @param {Array<Array>} queue - The [variable, constraint] arcs to start from, defaults to every arc in the CSP.
+     * @returns {boolean} - False if a domain was wiped out (the problem is inconsistent), true otherwise.
+     */
+    ac3(queue = this.variables.flatMap(v => this.constraints[v].map(c => [v, c]))) {
+        const changed = []; // the variables whose domain shrank, in the order their arcs are revised
+        const waiting = new Set(); // the variables of changed whose arcs have not been revised yet
+        const reviseArc = (variable, constraint) => {
+            if(!this.revise(variable, constraint)) {
+                return true;
+            }
+            if(this.store.size(variable) === 0) {
+                this.wipeouts++;
+                this.increaseWeight(constraint);
+                this.emit({ type: 'wipeout', variable, constraint });
+                return false;
+            }
+            if(!waiting.has(variable)) {
+                waiting.add(variable);
+                changed.push(variable);
+            }
+            return true;
+        };
+        for(const [variable, constraint] of queue) {
+            if(!reviseArc(variable, constraint)) {
+                return false;
+            }
+        }
+        // the variables before head have been handled, reading with an index avoids shifting the whole queue every time
+        for(let head = 0; head < changed.length; head++) {
+            const variable = changed[head];
+            waiting.delete(variable);
+            for(const constraint of this.constraints[variable]) {
+                for(const neighbor of constraint.variables) {
+                    if(neighbor !== variable && !reviseArc(neighbor, constraint)) {
+                        return false;
+                    }
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Shrinks the domains of the CSP with AC-3 before any search starts.
+     *
+     * @returns {boolean} - False if the preprocessing proved that no solution exists, true otherwise.
+     */
+    preprocess() {
+        this.begin({}, this.domains);
+        const result = this.ac3();
+        this.domains = this.store.toObject();
+        return result;
+    }
+
+}
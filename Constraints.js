@@ -0,0 +1,556 @@
+// The constraints the CSP solver understands. Each one tells the solver how to check an assignment (satisfied),
+// how to check a single new value during the search (allows), which assignments forward checking propagates
+// (watches), and which values still have a support when arc consistency revises a domain (supports).
+// AllDifferentConstraint and ColumnSumConstraint follow David Kopec's video about 'Constraint-Satisfaction Problems in Python'
+// https://www.youtube.com/watch?v=D1LVbE8nyXs
+
+/**
+ * The base class of every constraint. A new kind of constraint only has to implement satisfied, the other methods
+ * have generic versions that work (slowly) for any constraint, and can be overridden with faster ones.
+ */
+export class Constraint {
+    /**
+     * Creates a constraint over some variables.
+     *
+     * @param {array} variables - The variables of the constraint.
+     */
+    constructor(variables) {
+        this.variables = variables;
+        this.reset();
+    }
+    /**
+     * Checks if the given assignment satisfies the constraint. The assignment may be partial, in which case the
+     * constraint is only broken when the assigned variables already rule every completion out.
+     *
+     * @param {object} assignment - The assignment of variables and their values.
+     * @returns {boolean} - True if the assignment satisfies the constraint, false otherwise.
+     */
+    satisfied(assignment) {
+        throw new Error(`${this.constructor.name} does not implement satisfied`);
+    }
+    /**
+     * Checks if the constraint stays satisfied when an unassigned variable takes a value.
+     * The generic version tries the value in the assignment and calls satisfied.
+     *
+     * @param {string} variable - The unassigned variable.
+     * @param {*} value - The value it would take.
+     * @param {object} assignment - The current assignment of variables and their values, it is left unchanged.
+     * @returns {boolean} - True if the constraint would still be satisfied, false otherwise.
+     */
+    allows(variable, value, assignment) {
+        assignment[variable] = value;
+        const result = this.satisfied(assignment);
+        delete assignment[variable];
+        return result;
+    }
+    /**
+     * Returns the assigned variables to blame when a value of a variable breaks the constraint, the ones
+     * conflict-directed backjumping jumps back to. The generic version blames every other assigned variable.
+     *
+     * @param {string} variable - The variable whose value broke the constraint.
+     * @param {*} value - The value.
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @returns {array} - The assigned variables that caused the failure.
+     */
+    culprits(variable, value, assignment) {
+        return this.variables.filter(v => v !== variable && assignment[v] !== undefined);
+    }
+    /**
+     * Tells whether forward checking prunes the other variables of the constraint after this variable is assigned.
+     *
+     * @param {string} variable - The variable that has just been assigned.
+     * @returns {boolean} - True to forward check the constraint, false to skip it.
+     */
+    watches(variable) {
+        return true;
+    }
+    /**
+     * Returns a test telling which values of a variable still have a support in the constraint, i.e. can be
+     * completed with values of the current domains of the other variables. Arc consistency removes the others.
+     * The generic version searches every combination of the other domains, so it is only fit for small constraints.
+     *
+     * @param {string} variable - The variable whose domain is revised.
+     * @param {DomainStore} store - The current domains.
+     * @returns {function(*): boolean} - The test, called once per value of the domain.
+     */
+    supports(variable, store) {
+        const others = this.variables.filter(v => v !== variable);
+        const domains = others.map(v => store.values(v));
+        return value => {
+            const tuple = { [variable]: value };
+            const extend = i => {
+                if(i === others.length) {
+                    return true;
+                }
+                for(const other of domains[i]) {
+                    tuple[others[i]] = other;
+                    if(this.satisfied(tuple) && extend(i + 1)) {
+                        return true;
+                    }
+                }
+                delete tuple[others[i]];
+                return false;
+            };
+            return this.satisfied(tuple) && extend(0);
+        };
+    }
+    /**
+     * Forgets the bookkept assignment, before a new search starts. Constraints that keep incremental state about
+     * the search assignment (e.g. a running sum) reset it here and update it in assign and unassign.
+     */
+    reset() {}
+    /**
+     * Updates the bookkeeping after the search assigned a variable of the constraint.
+     *
+     * @param {string} variable - The assigned variable.
+     * @param {*} value - Its value.
+     */
+    assign(variable, value) {}
+    /**
+     * Updates the bookkeeping after the search unassigned a variable of the constraint.
+     *
+     * @param {string} variable - The unassigned variable.
+     * @param {*} value - The value it had.
+     */
+    unassign(variable, value) {}
+}
+
+/**
+ * The first variable must differ from all the other variables (a set of binary not-equal constraints sharing one
+ * side). A Tenner Grid cell gets one of these with its row and its neighbours.
+ */
+export class AllDifferentConstraint extends Constraint {
+    /**
+     * Checks if the given assignment satisfies the all-different constraint.
+     * The all-different constraint requires that all assigned values within the constraint
+     * are unique among each other.
+     *
+     * @param {object} assignment - The assignment of variables and their values.
+     * @returns {boolean} - True if all values are unique within the constraint, false otherwise.
+     */
+    satisfied(assignment) {
+        const currNotEqVariable = this.variables[0];
+        for (const variable of this.variables) {
+            if (variable !== currNotEqVariable && assignment[variable] !== undefined && assignment[currNotEqVariable] === assignment[variable]) {
+                return false; // If a value is repeated then the constraint is not satisfied
+            }
+        }
+        return true; // All values are unique within the constraint; constraint is satisfied
+    }
+    /**
+     * Forgets the bookkept assignment, before a new search starts.
+     */
+    reset() {
+        this.firstValue = undefined; // the value of the first variable, the one that must differ from the others
+        this.counts = new Map(); // value -> how many of the other variables are assigned to it
+    }
+    /**
+     * Updates the bookkept values after the search assigned a variable of the constraint.
+     *
+     * @param {string} variable - The assigned variable.
+     * @param {*} value - Its value.
+     */
+    assign(variable, value) {
+        if(variable === this.variables[0]) {
+            this.firstValue = value;
+        } else {
+            this.counts.set(value, (this.counts.get(value) ?? 0) + 1);
+        }
+    }
+    /**
+     * Updates the bookkept values after the search unassigned a variable of the constraint.
+     *
+     * @param {string} variable - The unassigned variable.
+     * @param {*} value - The value it had.
+     */
+    unassign(variable, value) {
+        if(variable === this.variables[0]) {
+            this.firstValue = undefined;
+        } else {
+            this.counts.set(value, this.counts.get(value) - 1);
+        }
+    }
+    /**
+     * Checks if the constraint stays satisfied when an unassigned variable takes a value, given an assignment that
+     * already satisfies it. Only the pairs involving the new variable can break, and the bookkept values answer that
+     * without looking at the other variables one by one.
+     *
+     * @param {string} variable - The unassigned variable.
+     * @param {*} value - The value it would take.
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @returns {boolean} - True if the constraint would still be satisfied, false otherwise.
+     */
+    allows(variable, value, assignment) {
+        if(variable === this.variables[0]) {
+            return !(this.counts.get(value) > 0);
+        }
+        return this.firstValue !== value;
+    }
+    /**
+     * Only the variables holding the same value are to blame, not the whole row and neighbourhood.
+     *
+     * @param {string} variable - The variable whose value broke the constraint.
+     * @param {*} value - The value.
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @returns {array} - The assigned variables that caused the failure.
+     */
+    culprits(variable, value, assignment) {
+        const first = this.variables[0];
+        if(variable !== first) {
+            return [first];
+        }
+        return this.variables.filter(v => v !== first && assignment[v] === value);
+    }
+    /**
+     * Only the assignment of the first variable prunes the others, each of them has its own constraint for the rest.
+     *
+     * @param {string} variable - The variable that has just been assigned.
+     * @returns {boolean} - True if the variable is the first one.
+     */
+    watches(variable) {
+        return variable === this.variables[0];
+    }
+    /**
+     * A value loses its support when the other side of one of the not-equal pairs is fixed to that same value.
+     *
+     * @param {string} variable - The variable whose domain is revised.
+     * @param {DomainStore} store - The current domains.
+     * @returns {function(*): boolean} - The test, called once per value of the domain.
+     */
+    supports(variable, store) {
+        const first = this.variables[0];
+        if(variable !== first) {
+            const fixed = store.size(first) === 1 ? store.first(first) : undefined;
+            return value => value !== fixed;
+        }
+        const fixed = [];
+        for(const other of this.variables) {
+            if(other !== first && store.size(other) === 1) {
+                fixed.push(store.first(other));
+            }
+        }
+        return value => !fixed.includes(value);
+    }
+}
+
+/**
+ * The last variable is the sum of the other ones, e.g. the target below a Tenner Grid column.
+ * The values have to be non-negative numbers, as a sum that already exceeds the target breaks the constraint.
+ */
+export class ColumnSumConstraint extends Constraint {
+    constructor(variables) {
+        super(variables);
+        this.targetVar = variables[variables.length-1]; // The last variable in the list is the targetSum variable(all previous variables should sum to this)
+    }
+    /**
+     * Forgets the bookkept assignment, before a new search starts.
+     */
+    reset() {
+        this.sum = 0; // the sum of the assigned variables, the target excluded
+        this.count = 0; // the number of assigned variables, the target excluded
+    }
+    /**
+     * Updates the bookkept sum after the search assigned a variable of the constraint.
+     *
+     * @param {string} variable - The assigned variable.
+     * @param {number} value - Its value.
+     */
+    assign(variable, value) {
+        if(variable !== this.targetVar) {
+            this.sum += value;
+            this.count++;
+        }
+    }
+    /**
+     * Updates the bookkept sum after the search unassigned a variable of the constraint.
+     *
+     * @param {string} variable - The unassigned variable.
+     * @param {number} value - The value it had.
+     */
+    unassign(variable, value) {
+        if(variable !== this.targetVar) {
+            this.sum -= value;
+            this.count--;
+        }
+    }
+    /**
+     * Checks if the constraint stays satisfied when an unassigned variable takes a value, using the bookkept sum
+     * instead of adding up the whole column again.
+     *
+     * @param {string} variable - The unassigned variable.
+     * @param {number} value - The value it would take.
+     * @param {object} assignment - The current assignment of variables and their values.
+     * @returns {boolean} - True if the constraint would still be satisfied, false otherwise.
+     */
+    allows(variable, value, assignment) {
+        let targetSum = assignment[this.targetVar];
+        let sum = this.sum;
+        let count = this.count;
+        if(variable === this.targetVar) {
+            targetSum = value;
+        } else {
+            sum += value;
+            count++;
+        }
+        if(targetSum === undefined) return true;
+        // the same rules as satisfied: all variables assigned with a different sum, or a sum already too large
+        if(count === this.variables.length-1 && sum !== targetSum) {
+            return false;
+        }
+        return sum <= targetSum;
+    }
+    
+    /**
+     * Checks if the given assignment satisfies the column sum constraint.
+     * The column sum constraint requires that the sum of assigned values in the specified variables
+     * (excluding the target variable) matches the pre-defined target sum.
+     *
+     * @param {object} assignment - The assignment of variables and their values.
+     * @returns {boolean} - True if the assignment satisfies the column sum constraint, false otherwise.
+     */
+    satisfied(assignment) {
+        const targetSum = assignment[this.targetVar];
+        if(targetSum === undefined) return true; // if the target sum hasn't been defined yet then the constraint is satisfied
+        let sum = 0;
+        let count = 0;
+        for(const variable of this.variables) {
+            if(variable !== this.targetVar && assignment[variable] !== undefined) {
+                sum += assignment[variable];
+                count++;
+            }
+        }
+        // if all variables have been assigned and the sum is not equal to the target sum then the constraint is not satisfied
+        if(count === this.variables.length-1 && sum !== targetSum) {
+            return false;
+        }
+        // or if the sum of the current assigned variables is greater than the target sum then the constraint is not satisfied
+        if(sum > targetSum) {
+            return false;
+        }
+        // otherwise the constraint is satisfied
+        return true;
+    }
+    /**
+     * A value keeps its support when the target can still be reached using the smallest and largest values left in
+     * the other domains (bounds consistency).
+     *
+     * @param {string} variable - The variable whose domain is revised.
+     * @param {DomainStore} store - The current domains.
+     * @returns {function(*): boolean} - The test, called once per value of the domain.
+     */
+    supports(variable, store) {
+        const targetVar = this.targetVar;
+        let minSum = 0;
+        let maxSum = 0;
+        for(const other of this.variables) {
+            if(other !== targetVar && other !== variable) {
+                const [min, max] = store.bounds(other);
+                minSum += min;
+                maxSum += max;
+            }
+        }
+        if(variable === targetVar) {
+            return value => value >= minSum && value <= maxSum;
+        }
+        const targets = store.values(targetVar);
+        return value => targets.some(target => target - value >= minSum && target - value <= maxSum);
+    }
+}
+
+// The row sum constraint works the same way, the last variable in the list is the sum of the cells of a row
+export class RowSumConstraint extends ColumnSumConstraint {}
+
+/**
+ * Two variables must take different values.
+ */
+export class NotEqualConstraint extends Constraint {
+    /**
+     * @param {string} first - The first variable.
+     * @param {string} second - The second variable.
+     */
+    constructor(first, second) {
+        super([first, second]);
+    }
+    satisfied(assignment) {
+        const [first, second] = this.variables;
+        return assignment[first] === undefined || assignment[second] === undefined || assignment[first] !== assignment[second];
+    }
+    allows(variable, value, assignment) {
+        const other = variable === this.variables[0] ? this.variables[1] : this.variables[0];
+        return assignment[other] !== value;
+    }
+    supports(variable, store) {
+        const other = variable === this.variables[0] ? this.variables[1] : this.variables[0];
+        const fixed = store.size(other) === 1 ? store.first(other) : undefined;
+        return value => value !== fixed;
+    }
+}
+
+export const LINEAR_OPERATORS = ['<=', '==', '>='];
+
+/**
+ * A linear relation over numeric variables: coefficients[0] * variables[0] + ... (operator) bound,
+ * e.g. new LinearConstraint(['x', 'y'], [1, 2], '<=', 10) for x + 2y <= 10.
+ */
+export class LinearConstraint extends Constraint {
+    /**
+     * @param {array} variables - The variables of the sum.
+     * @param {Array<number>} coefficients - The coefficient of each variable, 1 for all of them by default.
+     * @param {string} operator - One of LINEAR_OPERATORS.
+     * @param {number} bound - The right-hand side.
+     * @throws {Error} - If the operator is unknown or the coefficients do not match the variables.
+     */
+    constructor(variables, coefficients = variables.map(() => 1), operator = '==', bound = 0) {
+        super(variables);
+        if(!LINEAR_OPERATORS.includes(operator)) {
+            throw new Error(`Unknown operator: ${operator}`);
+        }
+        if(coefficients.length !== variables.length) {
+            throw new Error('A linear constraint needs one coefficient per variable.');
+        }
+        this.coefficients = new Map(variables.map((variable, i) => [variable, coefficients[i]]));
+        this.operator = operator;
+        this.bound = bound;
+    }
+    /**
+     * Compares a complete sum to the bound.
+     *
+     * @param {number} sum - The value of the left-hand side.
+     * @returns {boolean} - True if the relation holds.
+     */
+    holds(sum) {
+        switch(this.operator) {
+            case '<=':
+                return sum <= this.bound;
+            case '>=':
+                return sum >= this.bound;
+            default:
+                return sum === this.bound;
+        }
+    }
+    // the relation can only be checked once every variable is assigned, the domains are what prunes the partial sums
+    satisfied(assignment) {
+        let sum = 0;
+        for(const variable of this.variables) {
+            if(assignment[variable] === undefined) {
+                return true;
+            }
+            sum += this.coefficients.get(variable) * assignment[variable];
+        }
+        return this.holds(sum);
+    }
+    reset() {
+        this.sum = 0; // the weighted sum of the assigned variables
+        this.count = 0; // the number of assigned variables
+    }
+    assign(variable, value) {
+        this.sum += this.coefficients.get(variable) * value;
+        this.count++;
+    }
+    unassign(variable, value) {
+        this.sum -= this.coefficients.get(variable) * value;
+        this.count--;
+    }
+    allows(variable, value, assignment) {
+        return this.count + 1 < this.variables.length || this.holds(this.sum + this.coefficients.get(variable) * value);
+    }
+    // a value keeps its support when the relation can hold for some sum of the other terms between their smallest
+    // and largest possible values (bounds consistency)
+    supports(variable, store) {
+        let minRest = 0;
+        let maxRest = 0;
+        for(const other of this.variables) {
+            if(other !== variable) {
+                const coefficient = this.coefficients.get(other);
+                const [min, max] = store.bounds(other);
+                minRest += Math.min(coefficient * min, coefficient * max);
+                maxRest += Math.max(coefficient * min, coefficient * max);
+            }
+        }
+        const coefficient = this.coefficients.get(variable);
+        switch(this.operator) {
+            case '<=':
+                return value => coefficient * value + minRest <= this.bound;
+            case '>=':
+                return value => coefficient * value + maxRest >= this.bound;
+            default:
+                return value => this.bound - coefficient * value >= minRest && this.bound - coefficient * value <= maxRest;
+        }
+    }
+}
+
+/**
+ * An extensional constraint: the values of the variables must be one of the listed tuples,
+ * e.g. new TableConstraint(['x', 'y'], [[0, 1], [1, 0]]).
+ */
+export class TableConstraint extends Constraint {
+    /**
+     * @param {array} variables - The variables of the constraint.
+     * @param {Array<array>} tuples - The allowed tuples, one value per variable in the same order.
+     * @throws {Error} - If a tuple does not have one value per variable.
+     */
+    constructor(variables, tuples) {
+        super(variables);
+        if(tuples.some(tuple => tuple.length !== variables.length)) {
+            throw new Error('Every tuple needs one value per variable.');
+        }
+        this.tuples = tuples;
+    }
+    // some allowed tuple has to agree with every assigned variable
+    satisfied(assignment) {
+        return this.tuples.some(tuple => this.variables.every((variable, i) =>
+            assignment[variable] === undefined || assignment[variable] === tuple[i]));
+    }
+    // a value is supported by an allowed tuple whose other values are all still in their domains
+    supports(variable, store) {
+        const position = this.variables.indexOf(variable);
+        const supported = new Set();
+        for(const tuple of this.tuples) {
+            if(this.variables.every((other, i) => i === position || store.has(other, tuple[i]))) {
+                supported.add(tuple[position]);
+            }
+        }
+        return value => supported.has(value);
+    }
+}
+
+/**
+ * Any relation given as a function, checked once all its variables are assigned,
+ * e.g. new PredicateConstraint(['x', 'y'], (x, y) => x % 2 !== y % 2).
+ * It is propagated with the generic support search of Constraint, so it should only involve a few variables.
+ */
+export class PredicateConstraint extends Constraint {
+    /**
+     * @param {array} variables - The variables of the constraint.
+     * @param {function(...*): boolean} predicate - Called with the values of the variables, in the same order.
+     */
+    constructor(variables, predicate) {
+        super(variables);
+        this.predicate = predicate;
+    }
+    satisfied(assignment) {
+        const values = this.variables.map(variable => assignment[variable]);
+        return values.includes(undefined) || this.predicate(...values);
+    }
+}
+
+/**
+ * A combination of values the variables must not take all together. Conflict-directed backjumping learns these from
+ * the failures it meets, so the same dead end is not explored twice.
+ */
+export class Nogood extends Constraint {
+    /**
+     * @param {array} variables - The variables of the forbidden combination.
+     * @param {array} values - Their forbidden values, in the same order.
+     */
+    constructor(variables, values) {
+        super(variables);
+        this.values = values;
+    }
+    satisfied(assignment) {
+        return this.variables.some((variable, i) => assignment[variable] !== this.values[i]);
+    }
+    allows(variable, value, assignment) {
+        return this.variables.some((v, i) => (v === variable ? value : assignment[v]) !== this.values[i]);
+    }
+}
@@ -0,0 +1,183 @@
+import * as TennerGrid from "./TennerGrid.js";
+import { AllDifferentConstraint, ColumnSumConstraint } from "./CSP.js";
+
+// the time a single satisfiability check may take, past it the clue it tests is kept and the result may not be minimal
+const CHECK_TIME_LIMIT = 1000;
+
+/**
+ * Builds a puzzle of the same size and rules that only keeps some of the givens and targets (the clues).
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The original puzzle.
+ * @param {object} assignment - The values of every clue of the original puzzle.
+ * @param {string[]} clues - The variables of the clues to keep.
+ * @returns {TennerGrid.Puzzle} The puzzle with only those clues.
+ */
+function keepClues(puzzle, assignment, clues) {
+  const kept = {};
+  for (const clue of clues) {
+    kept[clue] = assignment[clue];
+  }
+  return TennerGrid.assignmentToPuzzle(kept, puzzle.rows, puzzle.columns, TennerGrid.puzzleRules(puzzle));
+}
+
+/**
+ * Checks whether a puzzle has no solution, with arc consistency and a MAC search.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle to check.
+ * @returns {boolean|null} True if it has no solution, false if it has one, null if the check ran out of time.
+ */
+function unsolvable(puzzle) {
+  const csp = TennerGrid.createCSP(puzzle);
+  csp.setBudget({ timeLimit: CHECK_TIME_LIMIT });
+  const solvable = csp.preprocess() && csp.macSearchWithMRV() !== null;
+  return csp.timedOut ? null : !solvable;
+}
+
+/**
+ * Names a row or column sum in words.
+ *
+ * @param {ColumnSumConstraint} constraint - The sum constraint (a RowSumConstraint for a row).
+ * @returns {string} E.g. "column 4".
+ */
+function describeLine(constraint) {
+  const { type, row, col } = TennerGrid.parseVariable(constraint.targetVar);
+  return type === "target" ? `column ${col + 1}` : `row ${row + 1}`;
+}
+
+/**
+ * Looks for a conflict that can be seen without searching: two clues that must differ but hold the same value,
+ * a line whose filled cells miss its target, or column targets whose total does not match the rows.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle.
+ * @param {object} assignment - The values of its clues.
+ * @returns {object|null} The clues in conflict, a message naming the rule they break and minimal when no clue can be
+ * left out of them, or null if there is none.
+ */
+function obviousConflict(puzzle, assignment) {
+  const rules = TennerGrid.puzzleRules(puzzle);
+  const csp = TennerGrid.createCSP(puzzle);
+  const constraints = new Set(csp.variables.flatMap((variable) => csp.constraints[variable]));
+  for (const constraint of constraints) {
+    const [first, ...others] = constraint.variables;
+    if (constraint instanceof AllDifferentConstraint && first in assignment) {
+      const repeated = others.find((other) => assignment[other] === assignment[first]);
+      if (repeated !== undefined) {
+        const value = assignment[first];
+        const [a, b] = [first, repeated].map(TennerGrid.parseVariable);
+        const message = a.row === b.row && rules.rowDistinct
+          ? `Row ${a.row + 1} repeats ${value}.`
+          : `Cells (${a.row + 1}, ${a.col + 1}) and (${b.row + 1}, ${b.col + 1}) are adjacent but both hold ${value}.`;
+        return { clues: [first, repeated], message };
+      }
+    }
+    if (constraint instanceof ColumnSumConstraint && constraint.targetVar in assignment) {
+      const target = assignment[constraint.targetVar];
+      const cells = constraint.variables.filter((variable) => variable !== constraint.targetVar);
+      const filled = cells.filter((cell) => cell in assignment);
+      const sum = filled.reduce((total, cell) => total + assignment[cell], 0);
+      const clues = [...filled, constraint.targetVar];
+      if (sum > target) {
+        return { clues, message: `The cells of ${describeLine(constraint)} already add up to more than ${target}.` };
+      }
+      if (filled.length === cells.length && sum < target) {
+        return { clues, message: `The cells of ${describeLine(constraint)} cannot reach ${target}.` };
+      }
+    }
+  }
+  // a row holding every digit once always adds up to the same total, so the column targets have to add up to all rows
+  const [digits] = TennerGrid.createDomains(puzzle.rows, puzzle.columns);
+  const targets = Array.from({ length: puzzle.columns }, (_, col) => TennerGrid.targetVariable(col));
+  if (rules.rowDistinct && rules.columnSums && targets.every((target) => target in assignment)) {
+    const total = targets.reduce((sum, target) => sum + assignment[target], 0);
+    const expected = puzzle.rows * digits.reduce((sum, digit) => sum + digit, 0);
+    if (total !== expected) {
+      // any one target left out could make up the difference, so every target is needed
+      return {
+        clues: targets,
+        message: `The column targets add up to ${total}, but every row holds each digit once, so the grid adds up to ${expected}.`,
+        minimal: true,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds the rule a set of conflicting clues breaks, and words it for the user.
+ * Conflicts that can be seen at once are reported as such, otherwise the constraint on which arc consistency runs
+ * out of values is named.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle keeping only the conflicting clues.
+ * @param {object} assignment - The values of the clues.
+ * @returns {string} The explanation.
+ */
+function explain(puzzle, assignment) {
+  const obvious = obviousConflict(puzzle, assignment);
+  if (obvious !== null) {
+    return obvious.message;
+  }
+  const csp = TennerGrid.createCSP(puzzle);
+  let wipeout = null;
+  csp.listener = (event) => {
+    if (event.type === "wipeout") {
+      wipeout = event;
+    }
+  };
+  if (!csp.preprocess() && wipeout !== null) {
+    const { constraint, variable } = wipeout;
+    if (constraint instanceof ColumnSumConstraint) {
+      const target = assignment[constraint.targetVar];
+      const line = describeLine(constraint);
+      return target === undefined
+        ? `The cells of ${line} cannot take values that add up to any possible sum.`
+        : `The cells of ${line} cannot add up to ${target}.`;
+    }
+    return `No value is left for ${TennerGrid.describeVariable(variable)}: every digit clashes with the cells it must differ from.`;
+  }
+  return "These givens and targets cannot all hold together, no solution uses all of them.";
+}
+
+/**
+ * Explains why a puzzle has no solution by finding a minimal set of givens and targets that cannot hold together.
+ * It starts from a conflict that can be seen at once if there is one, from every clue otherwise. Each clue is then
+ * dropped in turn and stays out if the rest still has no solution (deletion-based extraction of a minimal
+ * unsatisfiable subset). A conflict that is minimal as it is found, like column targets with the wrong total, is
+ * returned without any search.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle to diagnose.
+ * @param {number} timeLimit - The time after which no more clues are dropped, in milliseconds.
+ * @returns {object|null} The conflicting clues (their variables), whether the set is minimal (false when the time or
+ * some checks ran out) and a message naming the rule they break, or null if the puzzle has a solution (or the first
+ * check ran out of time).
+ */
+export function diagnose(puzzle, timeLimit = 10000) {
+  const deadline = Date.now() + timeLimit;
+  const assignment = TennerGrid.puzzleToAssignment(puzzle);
+  const obvious = obviousConflict(puzzle, assignment);
+  if (obvious?.minimal) {
+    return { clues: obvious.clues, minimal: true, message: obvious.message };
+  }
+  let clues = obvious?.clues ?? Object.keys(assignment);
+  if (obvious === null && unsolvable(keepClues(puzzle, assignment, clues)) !== true) {
+    return null;
+  }
+  let minimal = true;
+  for (const clue of [...clues]) {
+    if (Date.now() > deadline) {
+      minimal = false;
+      break;
+    }
+    const rest = clues.filter((other) => other !== clue);
+    const result = unsolvable(keepClues(puzzle, assignment, rest));
+    if (result === true) {
+      clues = rest; // the clue is not needed for the conflict
+    } else if (result === null) {
+      minimal = false;
+    }
+  }
+  const conflicting = {};
+  for (const clue of clues) {
+    conflicting[clue] = assignment[clue];
+  }
+  return { clues, minimal, message: explain(keepClues(puzzle, assignment, clues), conflicting) };
+}
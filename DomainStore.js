@@ -0,0 +1,218 @@
+/**
+ * The domains of the variables of a CSP, stored as bitsets with a trail to undo changes.
+ *
+ * Every variable keeps the array of values it started with (its universe) and one bit per value of that array, so a
+ * Tenner Grid cell (digits 0 to 9) fits in a 10-bit mask and a target cell in a few 32-bit words. Instead of copying
+ * the domains at every node of the search tree, each change pushes the old word on the trail, and backtracking pops
+ * the trail back to a mark taken before the changes.
+ */
+export class DomainStore {
+    /**
+     * Creates a store holding the given domains.
+     *
+     * @param {array} variables - The variables of the CSP.
+     * @param {object} domains - An object where the keys are variables and the values are arrays of possible values.
+     */
+    constructor(variables, domains) {
+        this.index = new Map(); // variable -> its position in the store
+        this.universes = []; // the initial values of every variable, in the order they are tried
+        this.positions = []; // for every variable a Map from a value to its bit
+        this.ascending = []; // for every variable whether its universe is sorted, so its bounds are its first and last values
+        this.offsets = new Int32Array(variables.length + 1); // the first word of every variable in bits
+        this.sizes = new Int32Array(variables.length); // the number of values left for every variable
+        this.trail = []; // flattened [variable index, word position, old word, old size] entries
+        const positionCache = new Map(); // many variables share the same domain array, so they share its positions
+        variables.forEach((variable, i) => {
+            const universe = domains[variable];
+            if(!positionCache.has(universe)) {
+                positionCache.set(universe, new Map(universe.map((value, bit) => [value, bit])));
+            }
+            this.index.set(variable, i);
+            this.universes.push(universe);
+            this.positions.push(positionCache.get(universe));
+            this.ascending.push(universe.every((value, bit) => bit === 0 || universe[bit - 1] < value));
+            this.offsets[i + 1] = this.offsets[i] + Math.ceil(universe.length / 32);
+            this.sizes[i] = universe.length;
+        });
+        this.bits = new Uint32Array(this.offsets[variables.length]);
+        variables.forEach((variable, i) => {
+            for(let bit = 0; bit < this.universes[i].length; bit++) {
+                this.bits[this.offsets[i] + (bit >> 5)] |= 1 << (bit & 31);
+            }
+        });
+    }
+    /**
+     * Returns the number of values left in the domain of a variable.
+     *
+     * @param {string} variable - The variable.
+     * @returns {number} - The size of its domain.
+     */
+    size(variable) {
+        return this.sizes[this.index.get(variable)];
+    }
+    /**
+     * Checks if a value is still in the domain of a variable.
+     *
+     * @param {string} variable - The variable.
+     * @param {*} value - The value to look for.
+     * @returns {boolean} - True if the value is in the domain, false otherwise.
+     */
+    has(variable, value) {
+        const i = this.index.get(variable);
+        const bit = this.positions[i].get(value);
+        return bit !== undefined && (this.bits[this.offsets[i] + (bit >> 5)] & (1 << (bit & 31))) !== 0;
+    }
+    /**
+     * Returns the values left in the domain of a variable, in the order of its initial domain.
+     *
+     * @param {string} variable - The variable.
+     * @returns {array} - A new array with the values of the domain.
+     */
+    values(variable) {
+        const i = this.index.get(variable);
+        const universe = this.universes[i];
+        const values = [];
+        for(let w = this.offsets[i]; w < this.offsets[i + 1]; w++) {
+            let word = this.bits[w];
+            const base = (w - this.offsets[i]) << 5;
+            while(word !== 0) {
+                const low = word & -word; // the lowest bit still set
+                values.push(universe[base + 31 - Math.clz32(low)]);
+                word ^= low;
+            }
+        }
+        return values;
+    }
+    /**
+     * Returns the first value left in the domain of a variable, e.g. the value of a singleton domain.
+     *
+     * @param {string} variable - The variable.
+     * @returns {*} - The first value, undefined for an empty domain.
+     */
+    first(variable) {
+        const i = this.index.get(variable);
+        for(let w = this.offsets[i]; w < this.offsets[i + 1]; w++) {
+            const word = this.bits[w];
+            if(word !== 0) {
+                return this.universes[i][((w - this.offsets[i]) << 5) + 31 - Math.clz32(word & -word)];
+            }
+        }
+        return undefined;
+    }
+    /**
+     * Returns the last value left in the domain of a variable.
+     *
+     * @param {string} variable - The variable.
+     * @returns {*} - The last value, undefined for an empty domain.
+     */
+    last(variable) {
+        const i = this.index.get(variable);
+        for(let w = this.offsets[i + 1] - 1; w >= this.offsets[i]; w--) {
+            const word = this.bits[w];
+            if(word !== 0) {
+                return this.universes[i][((w - this.offsets[i]) << 5) + 31 - Math.clz32(word)];
+            }
+        }
+        return undefined;
+    }
+    /**
+     * Returns the smallest and largest values left in the domain of a variable.
+     *
+     * @param {string} variable - The variable, with numeric values.
+     * @returns {Array<number>} - The [min, max] of the domain, [Infinity, -Infinity] for an empty domain.
+     */
+    bounds(variable) {
+        const i = this.index.get(variable);
+        if(this.ascending[i]) {
+            return this.sizes[i] === 0 ? [Infinity, -Infinity] : [this.first(variable), this.last(variable)];
+        }
+        let min = Infinity;
+        let max = -Infinity;
+        for(const value of this.values(variable)) {
+            if(value < min) {
+                min = value;
+            }
+            if(value > max) {
+                max = value;
+            }
+        }
+        return [min, max];
+    }
+    /**
+     * Removes a value from the domain of a variable, recording the change on the trail.
+     *
+     * @param {string} variable - The variable.
+     * @param {*} value - The value to remove.
+     * @returns {boolean} - True if the value was in the domain, false otherwise.
+     */
+    remove(variable, value) {
+        const i = this.index.get(variable);
+        const bit = this.positions[i].get(value);
+        if(bit === undefined) {
+            return false;
+        }
+        const w = this.offsets[i] + (bit >> 5);
+        const mask = 1 << (bit & 31);
+        if((this.bits[w] & mask) === 0) {
+            return false;
+        }
+        this.trail.push(i, w, this.bits[w], this.sizes[i]);
+        this.bits[w] &= ~mask;
+        this.sizes[i]--;
+        return true;
+    }
+    /**
+     * Reduces the domain of a variable to a single value, recording the change on the trail.
+     *
+     * @param {string} variable - The variable.
+     * @param {*} value - The value to keep, it has to be in the initial domain of the variable.
+     */
+    restrict(variable, value) {
+        const i = this.index.get(variable);
+        const bit = this.positions[i].get(value);
+        for(let w = this.offsets[i]; w < this.offsets[i + 1]; w++) {
+            const word = w === this.offsets[i] + (bit >> 5) ? (this.bits[w] & (1 << (bit & 31))) >>> 0 : 0;
+            if(word !== this.bits[w]) {
+                this.trail.push(i, w, this.bits[w], this.sizes[i]);
+                this.bits[w] = word;
+                this.sizes[i] = 1;
+            }
+        }
+    }
+    /**
+     * Marks the current state, so the changes made after it can be undone.
+     *
+     * @returns {number} - The mark to pass to undo.
+     */
+    mark() {
+        return this.trail.length;
+    }
+    /**
+     * Undoes every change made since a mark.
+     *
+     * @param {number} mark - A mark returned by the mark method.
+     */
+    undo(mark) {
+        const trail = this.trail;
+        while(trail.length > mark) {
+            const size = trail.pop();
+            const word = trail.pop();
+            const w = trail.pop();
+            const i = trail.pop();
+            this.bits[w] = word;
+            this.sizes[i] = size;
+        }
+    }
+    /**
+     * Returns the current domains as an object of arrays, the representation used outside the search.
+     *
+     * @returns {object} - An object where the keys are variables and the values are arrays of possible values.
+     */
+    toObject() {
+        const domains = {};
+        for(const variable of this.index.keys()) {
+            domains[variable] = this.values(variable);
+        }
+        return domains;
+    }
+}
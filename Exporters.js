@@ -0,0 +1,288 @@
+import { AllDifferentConstraint, ColumnSumConstraint } from "./CSP.js";
+
+/*
+ * Exports a CSP built by TennerGrid.createCSP (AllDifferentConstraint and ColumnSumConstraint/RowSumConstraint) to the
+ * input formats of external solvers, and reads their answers back, so our solvers can be cross-checked offline:
+ *
+ * - MiniZinc: one integer variable per CSP variable, a != per pair of cells that must differ and a linear equation
+ *   per sum. Solve it with e.g. `minizinc --solver gecode model.mzn`.
+ * - DIMACS CNF: the digits are one-hot encoded (one boolean per value of a variable, exactly one of them true), and
+ *   each sum is encoded with the partial sums of its cells (one boolean per reachable value of the sum of the first k
+ *   cells). Solve it with any SAT solver, e.g. `minisat model.cnf answer.txt` or `kissat model.cnf`.
+ */
+
+/**
+ * Gives every variable of a CSP a name that MiniZinc accepts, e.g. "x_2_5" for the cell "2,5" and "x_t5" for the
+ * target "t5".
+ *
+ * @param {CSP} csp - The CSP.
+ * @returns {Map<string, string>} The name of every variable.
+ */
+function identifiers(csp) {
+  const names = new Map();
+  const taken = new Set();
+  for (const variable of csp.variables) {
+    let name = "x_" + String(variable).replace(/[^A-Za-z0-9]/g, "_");
+    while (taken.has(name)) {
+      name += "_";
+    }
+    taken.add(name);
+    names.set(variable, name);
+  }
+  return names;
+}
+
+/**
+ * Lists the constraints of a CSP as pairs of variables that must differ and sums, the two shapes both formats encode.
+ *
+ * @param {CSP} csp - The CSP.
+ * @returns {object} The pairs that must differ (each pair once) and the { cells, target } of every sum.
+ * @throws {Error} - If the CSP has a constraint that cannot be exported.
+ */
+function collectConstraints(csp) {
+  const pairs = [];
+  const sums = [];
+  const seenPairs = new Set();
+  const seenConstraints = new Set();
+  for (const variable of csp.variables) {
+    for (const constraint of csp.constraints[variable]) {
+      if (seenConstraints.has(constraint)) {
+        continue;
+      }
+      seenConstraints.add(constraint);
+      if (constraint instanceof AllDifferentConstraint) {
+        const [first, ...others] = constraint.variables;
+        for (const other of others) {
+          const key = JSON.stringify([first, other].sort());
+          if (!seenPairs.has(key)) {
+            seenPairs.add(key);
+            pairs.push([first, other]);
+          }
+        }
+      } else if (constraint instanceof ColumnSumConstraint) {
+        const cells = constraint.variables.filter((other) => other !== constraint.targetVar);
+        sums.push({ cells, target: constraint.targetVar });
+      } else {
+        throw new Error(`${constraint.constructor.name} cannot be exported`);
+      }
+    }
+  }
+  return { pairs, sums };
+}
+
+/**
+ * Writes a domain the MiniZinc way: a range when its values follow each other, a set otherwise.
+ *
+ * @param {number[]} domain - The values of a variable.
+ * @returns {string} E.g. "0..9" or "{3}".
+ */
+function miniZincDomain(domain) {
+  const values = [...domain].sort((a, b) => a - b);
+  const contiguous = values.every((value, i) => value === values[0] + i);
+  return contiguous && values.length > 1 ? `${values[0]}..${values[values.length - 1]}` : `{${values.join(", ")}}`;
+}
+
+/**
+ * Exports a CSP to a MiniZinc model. The model prints every variable as "name = value;", which
+ * readMiniZincSolution reads back.
+ *
+ * @param {CSP} csp - The CSP, e.g. made by TennerGrid.createCSP.
+ * @returns {string} The model.
+ * @throws {Error} - If the CSP has a constraint that cannot be exported.
+ */
+export function toMiniZinc(csp) {
+  const names = identifiers(csp);
+  const { pairs, sums } = collectConstraints(csp);
+  const lines = [`% ${csp.variables.length} variables, ${pairs.length} differences, ${sums.length} sums`];
+  for (const variable of csp.variables) {
+    lines.push(`var ${miniZincDomain(csp.domains[variable])}: ${names.get(variable)}; % ${variable}`);
+  }
+  for (const [first, second] of pairs) {
+    lines.push(`constraint ${names.get(first)} != ${names.get(second)};`);
+  }
+  for (const { cells, target } of sums) {
+    lines.push(`constraint ${cells.map((cell) => names.get(cell)).join(" + ")} = ${names.get(target)};`);
+  }
+  lines.push("solve satisfy;");
+  const outputs = csp.variables.map((variable) => `"${names.get(variable)} = \\(${names.get(variable)});\\n"`);
+  lines.push(`output [${outputs.join(", ")}];`);
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Reads the answer of MiniZinc to a model made by toMiniZinc.
+ *
+ * @param {CSP} csp - The CSP that was exported.
+ * @param {string} text - What MiniZinc printed.
+ * @returns {object|null} The assignment of the first solution printed, null if MiniZinc found the model unsatisfiable.
+ * @throws {Error} - If the answer holds no solution, or misses a variable.
+ */
+export function readMiniZincSolution(csp, text) {
+  if (text.includes("=====UNSATISFIABLE=====")) {
+    return null;
+  }
+  const values = new Map();
+  for (const line of text.split(/\r?\n/)) {
+    if (line.startsWith("----------")) {
+      break; // the end of the first solution
+    }
+    const match = line.match(/^\s*(\w+)\s*=\s*(-?\d+);/);
+    if (match !== null) {
+      values.set(match[1], Number(match[2]));
+    }
+  }
+  if (values.size === 0) {
+    throw new Error("The MiniZinc answer holds no solution");
+  }
+  const assignment = {};
+  for (const [variable, name] of identifiers(csp)) {
+    if (!values.has(name)) {
+      throw new Error(`The MiniZinc answer has no value for ${variable}`);
+    }
+    assignment[variable] = values.get(name);
+  }
+  return assignment;
+}
+
+/**
+ * Numbers the booleans of the one-hot encoding: the literal of every value of every variable, in the order of the
+ * variables and of their domains, starting at 1.
+ *
+ * @param {CSP} csp - The CSP.
+ * @returns {Map<string, Map<number, number>>} variable -> value -> literal.
+ */
+function oneHotLiterals(csp) {
+  const literals = new Map();
+  let next = 1;
+  for (const variable of csp.variables) {
+    literals.set(variable, new Map(csp.domains[variable].map((value) => [value, next++])));
+  }
+  return literals;
+}
+
+/**
+ * Exports a CSP to DIMACS CNF, with one-hot encoded variables and sums encoded into clauses.
+ * The first literals are the one-hot booleans (see oneHotLiterals), readDimacsSolution reads them back.
+ *
+ * @param {CSP} csp - The CSP, e.g. made by TennerGrid.createCSP.
+ * @returns {string} The CNF.
+ * @throws {Error} - If the CSP has a constraint that cannot be exported.
+ */
+export function toDimacs(csp) {
+  const literals = oneHotLiterals(csp);
+  const { pairs, sums } = collectConstraints(csp);
+  const oneHotCount = [...literals.values()].reduce((total, values) => total + values.size, 0);
+  let count = oneHotCount;
+  const clauses = [];
+  // exactly one value per variable
+  for (const values of literals.values()) {
+    const own = [...values.values()];
+    clauses.push(own);
+    for (let i = 0; i < own.length; i++) {
+      for (let j = i + 1; j < own.length; j++) {
+        clauses.push([-own[i], -own[j]]);
+      }
+    }
+  }
+  // two variables that must differ never take the same value
+  for (const [first, second] of pairs) {
+    for (const [value, literal] of literals.get(first)) {
+      if (literals.get(second).has(value)) {
+        clauses.push([-literal, -literals.get(second).get(value)]);
+      }
+    }
+  }
+  // partial[s] is true when the first cells add up to s, every sum reached is forced true, so the target has to be
+  // the sum of the cells (other partial sums may stay false)
+  for (const { cells, target } of sums) {
+    let partial = new Map([[0, null]]); // the empty sum is always 0, it needs no literal
+    for (const cell of cells) {
+      const next = new Map();
+      for (const [sum, sumLiteral] of partial) {
+        for (const [value, literal] of literals.get(cell)) {
+          if (!next.has(sum + value)) {
+            next.set(sum + value, ++count);
+          }
+          const premise = sumLiteral === null ? [-literal] : [-sumLiteral, -literal];
+          clauses.push([...premise, next.get(sum + value)]);
+        }
+      }
+      partial = next;
+    }
+    const targets = literals.get(target);
+    for (const [sum, sumLiteral] of partial) {
+      clauses.push(targets.has(sum) ? [-sumLiteral, targets.get(sum)] : [-sumLiteral]);
+    }
+  }
+  const lines = [
+    `c ${csp.variables.length} variables one-hot encoded in literals 1 to ${oneHotCount}`,
+    `c ${pairs.length} differences, ${sums.length} sums`,
+    `p cnf ${count} ${clauses.length}`,
+    ...clauses.map((clause) => clause.join(" ") + " 0"),
+  ];
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Reads the answer of a SAT solver to a CNF made by toDimacs, either the competition output ("s SATISFIABLE" and
+ * "v ..." lines) or the result file of MiniSat ("SAT" and a line of literals).
+ *
+ * @param {CSP} csp - The CSP that was exported.
+ * @param {string} text - The answer of the solver.
+ * @returns {object|null} The assignment, null if the solver found the CNF unsatisfiable.
+ * @throws {Error} - If the answer holds no model, or a variable does not have exactly one value.
+ */
+export function readDimacsSolution(csp, text) {
+  const lines = text.split(/\r?\n/).map((line) => line.trim());
+  if (lines.some((line) => line === "UNSAT" || line === "s UNSATISFIABLE")) {
+    return null;
+  }
+  const trueLiterals = new Set();
+  for (const line of lines) {
+    const model = line.startsWith("v ") ? line.slice(2) : line;
+    if (/^-?\d+(\s+-?\d+)*$/.test(model)) {
+      for (const literal of model.split(/\s+/).map(Number)) {
+        if (literal > 0) {
+          trueLiterals.add(literal);
+        }
+      }
+    }
+  }
+  if (trueLiterals.size === 0) {
+    throw new Error("The SAT answer holds no model");
+  }
+  const assignment = {};
+  for (const [variable, values] of oneHotLiterals(csp)) {
+    const chosen = [...values].filter(([, literal]) => trueLiterals.has(literal)).map(([value]) => value);
+    if (chosen.length !== 1) {
+      throw new Error(`The SAT answer gives ${variable} ${chosen.length} values instead of 1`);
+    }
+    assignment[variable] = chosen[0];
+  }
+  return assignment;
+}
+
+/**
+ * Checks an assignment read from another solver against the CSP with CSP.consistent, to find disagreements with
+ * our own solvers and propagation.
+ *
+ * @param {CSP} csp - The CSP.
+ * @param {object} assignment - The assignment to check.
+ * @returns {string|null} What is wrong with the assignment, null if it is a solution.
+ */
+export function checkAssignment(csp, assignment) {
+  for (const variable of csp.variables) {
+    if (!(variable in assignment)) {
+      return `${variable} has no value`;
+    }
+    if (!csp.domains[variable].includes(assignment[variable])) {
+      return `${variable} = ${assignment[variable]} is not in its domain`;
+    }
+  }
+  for (const variable of csp.variables) {
+    if (!csp.consistent(variable, assignment)) {
+      return `${variable} = ${assignment[variable]} breaks a ${csp.lastConflict.constructor.name}`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,128 @@
+import * as TennerGrid from "./TennerGrid.js";
+import * as LogicSolver from "./LogicSolver.js";
+import { createRandom, randomSeed, shuffle } from "./Random.js";
+
+export const DIFFICULTIES = ["easy", "medium", "hard"];
+
+// the share of empty cells the generator aims for at each difficulty, hard removes every given it can
+const EMPTY_CELL_RATIO = { easy: 0.4, medium: 0.6, hard: 1 };
+// the level of the hardest technique (see LogicSolver.TECHNIQUES) a puzzle of each grade may need, hard ones need guessing
+const GRADE_LEVELS = { easy: 1, medium: 3 };
+const MAX_ATTEMPTS = 5; // the number of puzzles generated before settling for the closest grade
+
+/**
+ * Creates a random complete solution for a grid of the given size.
+ *
+ * @param {number} rows - The number of rows in the grid.
+ * @param {number} columns - The number of columns in the grid.
+ * @param {object} rules - The rules of the puzzle, see TennerGrid.Rules.
+ * @param {function(): number} random - The generator of the random choices, see Random.createRandom.
+ * @returns {object|null} The complete assignment of every grid cell and target cell, null when no grid of this size
+ * satisfies the rules.
+ */
+export function randomSolution(rows, columns = 10, rules = {}, random = createRandom(randomSeed())) {
+  const csp = TennerGrid.createCSP(TennerGrid.emptyPuzzle(rows, columns, rules));
+  csp.setStrategy({ variableOrdering: "mrv-degree", valueOrdering: "random" });
+  csp.random = random;
+  return csp.forwardCheckingSearch();
+}
+
+/**
+ * Grades a puzzle by the techniques a human needs to solve it, using the logical solver.
+ * A puzzle the logical solver gets stuck on needs guessing, which makes it hard.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle to grade.
+ * @returns {object} The difficulty ('easy', 'medium' or 'hard'), the label of the hardest technique used ('guessing'
+ * when logic is not enough) and the number of deduction steps.
+ */
+export function gradePuzzle(puzzle) {
+  const { status, steps, hardest } = LogicSolver.solveLogically(puzzle);
+  const level = hardest === null ? 0 : LogicSolver.TECHNIQUES[hardest].level;
+  let difficulty = "hard";
+  if (status === "solved" && level <= GRADE_LEVELS.easy) {
+    difficulty = "easy";
+  } else if (status === "solved" && level <= GRADE_LEVELS.medium) {
+    difficulty = "medium";
+  }
+  let technique = "guessing";
+  if (status === "solved") {
+    technique = hardest === null ? "none" : LogicSolver.TECHNIQUES[hardest].label;
+  }
+  return { difficulty, technique, steps: steps.length };
+}
+
+/**
+ * Removes givens from a solved puzzle, in random order, as long as the puzzle keeps a unique solution.
+ * The puzzle has to be unique when it is passed in, which a fully solved grid is.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle to dig holes in, it is updated in place.
+ * @param {number} maxEmptyCells - The number of empty cells after which removal stops.
+ * @param {function(): number} random - The generator of the removal order.
+ * @returns {TennerGrid.Puzzle} The puzzle.
+ */
+function removeGivens(puzzle, maxEmptyCells, random) {
+  const cells = [];
+  for (let i = 0; i < puzzle.rows; i++) {
+    for (let j = 0; j < puzzle.columns; j++) {
+      cells.push([i, j]);
+    }
+  }
+  let emptyCells = 0;
+  for (const [i, j] of shuffle(cells, random)) {
+    if (emptyCells >= maxEmptyCells) {
+      break;
+    }
+    const value = puzzle.givens[i][j];
+    puzzle.givens[i][j] = null;
+    // the puzzle was unique before, so another solution has to use a different value in this cell
+    const csp = TennerGrid.createCSP(puzzle);
+    const variable = TennerGrid.cellVariable(i, j);
+    csp.domains[variable] = csp.domains[variable].filter((v) => v !== value);
+    // MAC settles these checks in a few hundred nodes, forward checking can take millions on a sparse 6-row grid
+    if (csp.macSearchWithMRV() === null) {
+      emptyCells++;
+    } else {
+      puzzle.givens[i][j] = value; // the given is needed to keep the solution unique
+    }
+  }
+  return puzzle;
+}
+
+/**
+ * Generates a puzzle with a unique solution.
+ * It starts from a random complete solution, keeps all its sums as targets and removes givens while the
+ * solution stays unique. The result is graded, and a few puzzles are tried to match the requested difficulty.
+ * The same size, difficulty, rules and seed always give the same puzzle.
+ *
+ * @param {number} rows - The number of rows in the grid.
+ * @param {number} columns - The number of columns in the grid.
+ * @param {string} difficulty - The requested difficulty, 'easy', 'medium' or 'hard'.
+ * @param {object} rules - The rules of the puzzle, see TennerGrid.Rules.
+ * @param {number} seed - The seed of every random choice, a new one when it is not given.
+ * @returns {object} The puzzle, its solution, its grade and the seed it was generated from.
+ * @throws {Error} - If the difficulty is unknown, or no grid of this size satisfies the rules.
+ */
+export function generatePuzzle(rows, columns = 10, difficulty = "medium", rules = {}, seed = randomSeed()) {
+  if (!DIFFICULTIES.includes(difficulty)) {
+    throw new Error(`Unknown difficulty: ${difficulty}`);
+  }
+  const random = createRandom(seed);
+  let best = null;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const solution = randomSolution(rows, columns, rules, random);
+    if (solution === null) {
+      throw new Error(`No ${rows}x${columns} grid satisfies these rules`);
+    }
+    const puzzle = TennerGrid.assignmentToPuzzle(solution, rows, columns, rules);
+    removeGivens(puzzle, Math.round(rows * columns * EMPTY_CELL_RATIO[difficulty]), random);
+    const grade = gradePuzzle(puzzle);
+    const distance = Math.abs(DIFFICULTIES.indexOf(grade.difficulty) - DIFFICULTIES.indexOf(difficulty));
+    if (best === null || distance < best.distance) {
+      best = { puzzle, solution, grade, distance };
+    }
+    if (distance === 0) {
+      break;
+    }
+  }
+  return { puzzle: best.puzzle, solution: best.solution, grade: best.grade, seed };
+}
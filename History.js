@@ -0,0 +1,86 @@
+/**
+ * An undo/redo history of plain data states, e.g. snapshots of the grid.
+ * States are kept as JSON, so a state pushed in cannot change afterwards and the same state is never recorded twice in a row.
+ */
+export class History {
+  /**
+   * @param {number} limit - The number of states kept, the oldest ones are dropped first.
+   */
+  constructor(limit = 100) {
+    this.limit = limit;
+    this.states = []; // the recorded states as JSON, oldest first
+    this.position = -1; // the index of the current state
+  }
+
+  /**
+   * Records a new current state. The states that were undone can no longer be redone.
+   *
+   * @param {object} state - The state, it has to be serializable to JSON.
+   * @returns {boolean} True if the state was recorded, false if it is the same as the current state.
+   */
+  push(state) {
+    const json = JSON.stringify(state);
+    if (json === this.states[this.position]) {
+      return false;
+    }
+    this.states.splice(this.position + 1, Infinity, json);
+    if (this.states.length > this.limit) {
+      this.states.shift();
+    }
+    this.position = this.states.length - 1;
+    return true;
+  }
+
+  /**
+   * Returns the current state.
+   *
+   * @returns {object|null} A copy of the current state, null if nothing was recorded yet.
+   */
+  current() {
+    return this.position >= 0 ? JSON.parse(this.states[this.position]) : null;
+  }
+
+  /**
+   * Checks if there is a state to go back to.
+   *
+   * @returns {boolean} True if undo would change the current state, false otherwise.
+   */
+  canUndo() {
+    return this.position > 0;
+  }
+
+  /**
+   * Checks if there is an undone state to go forward to.
+   *
+   * @returns {boolean} True if redo would change the current state, false otherwise.
+   */
+  canRedo() {
+    return this.position < this.states.length - 1;
+  }
+
+  /**
+   * Goes back to the previous state.
+   *
+   * @returns {object|null} A copy of the previous state, null if there is none.
+   */
+  undo() {
+    if (!this.canUndo()) {
+      return null;
+    }
+    this.position--;
+    return this.current();
+  }
+
+  /**
+   * Goes forward to the state that was last undone.
+   *
+   * @returns {object|null} A copy of that state, null if there is none.
+   */
+  redo() {
+    if (!this.canRedo()) {
+      return null;
+    }
+    this.position++;
+    return this.current();
+  }
+}
@@ -0,0 +1,197 @@
+import * as Generator from "./Generator.js";
+import * as PuzzleFormat from "./PuzzleFormat.js";
+
+export const STATUSES = ["unsolved", "in progress", "solved"];
+// the puzzle of the day, the same for everyone on a given date
+export const DAILY_PUZZLE = { rows: 4, columns: 10, difficulty: "medium" };
+
+const LIBRARY_KEY = "tennerGridLibrary"; // the storage key of the library
+
+/**
+ * A puzzle kept in the library, with the progress made on it.
+ *
+ * @typedef {object} Entry
+ * @property {string} id - The puzzle in the hash format of PuzzleFormat, so the same puzzle is only kept once.
+ * @property {TennerGrid.Puzzle} puzzle - The puzzle.
+ * @property {number} rows - The number of rows of the puzzle.
+ * @property {string} difficulty - The grade of the puzzle, see Generator.gradePuzzle.
+ * @property {string} source - "generated", "imported" or "daily".
+ * @property {number|null} seed - The seed the puzzle was generated from, null when it was not generated.
+ * @property {string|null} date - The day of a puzzle of the day (see dateKey), null for the others.
+ * @property {string} added - When the puzzle was added, as an ISO date.
+ * @property {string} status - One of STATUSES.
+ * @property {number} time - The time spent solving it so far, in milliseconds.
+ * @property {number} hints - The number of hints used.
+ * @property {object|null} values - The grid as it was left (an assignment of the givens and the entries), null
+ * before any entry.
+ * @property {string|null} solvedAt - When the puzzle was solved, as an ISO date.
+ */
+
+/**
+ * The puzzles kept to work through, organised by row count and difficulty, with the progress made on each one.
+ * The entries are saved in a Storage (localStorage in the browser) after every change, and only kept in memory when
+ * there is no storage or it cannot be written.
+ */
+export class Library {
+  /**
+   * @param {Storage|null} storage - Where the library is kept, e.g. localStorage.
+   */
+  constructor(storage = null) {
+    this.storage = storage;
+    this.entries = new Map(); // id -> entry, in the order they were added
+    try {
+      for (const entry of JSON.parse(storage?.getItem(LIBRARY_KEY) ?? "[]")) {
+        this.entries.set(entry.id, entry);
+      }
+    } catch (error) {
+      console.log("Could not read the puzzle library: " + error.message);
+    }
+  }
+
+  /**
+   * Writes the library to its storage.
+   */
+  save() {
+    try {
+      this.storage?.setItem(LIBRARY_KEY, JSON.stringify([...this.entries.values()]));
+    } catch (error) {
+      console.log("Could not save the puzzle library: " + error.message);
+    }
+  }
+
+  /**
+   * Returns an entry.
+   *
+   * @param {string} id - The id of the entry.
+   * @returns {Entry|null} The entry, null if there is none with that id.
+   */
+  get(id) {
+    return this.entries.get(id) ?? null;
+  }
+
+  /**
+   * Adds a puzzle to the library. A puzzle that is already in it keeps its entry and its progress.
+   *
+   * @param {TennerGrid.Puzzle} puzzle - The puzzle, without any entry of the user.
+   * @param {object} details - The source, seed, date and difficulty of the puzzle. The puzzle is graded when the
+   * difficulty is not given.
+   * @returns {Entry} The entry of the puzzle.
+   */
+  add(puzzle, { source = "imported", seed = null, date = null, difficulty = null } = {}) {
+    const id = PuzzleFormat.encodePuzzle(puzzle);
+    if (!this.entries.has(id)) {
+      this.entries.set(id, {
+        id,
+        puzzle,
+        rows: puzzle.rows,
+        difficulty: difficulty ?? Generator.gradePuzzle(puzzle).difficulty,
+        source,
+        seed,
+        date,
+        added: new Date().toISOString(),
+        status: "unsolved",
+        time: 0,
+        hints: 0,
+        values: null,
+        solvedAt: null,
+      });
+      this.save();
+    }
+    return this.entries.get(id);
+  }
+
+  /**
+   * Changes the progress of an entry, e.g. { status, time, hints, values }.
+   *
+   * @param {string} id - The id of the entry.
+   * @param {object} changes - The properties to change.
+   * @returns {Entry|null} The updated entry, null if there is none with that id.
+   */
+  update(id, changes) {
+    const entry = this.get(id);
+    if (entry === null) {
+      return null;
+    }
+    Object.assign(entry, changes);
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Removes an entry.
+   *
+   * @param {string} id - The id of the entry.
+   */
+  remove(id) {
+    if (this.entries.delete(id)) {
+      this.save();
+    }
+  }
+
+  /**
+   * Finds the puzzle of the day of a date, once it has been added.
+   *
+   * @param {string} date - The day, see dateKey.
+   * @returns {Entry|null} The entry, null if that puzzle of the day was not added.
+   */
+  daily(date) {
+    return [...this.entries.values()].find((entry) => entry.source === "daily" && entry.date === date) ?? null;
+  }
+
+  /**
+   * Groups the entries by row count and difficulty, from the smallest and easiest group.
+   *
+   * @returns {Array<object>} The { rows, difficulty, entries } of every group, the entries in the order they were added.
+   */
+  groups() {
+    const groups = new Map();
+    for (const entry of this.entries.values()) {
+      const key = `${entry.rows}/${entry.difficulty}`;
+      if (!groups.has(key)) {
+        groups.set(key, { rows: entry.rows, difficulty: entry.difficulty, entries: [] });
+      }
+      groups.get(key).entries.push(entry);
+    }
+    const rank = (difficulty) => Generator.DIFFICULTIES.indexOf(difficulty);
+    return [...groups.values()].sort((a, b) => a.rows - b.rows || rank(a.difficulty) - rank(b.difficulty));
+  }
+
+  /**
+   * Counts the entries of each status.
+   *
+   * @returns {object} The number of entries for every one of STATUSES.
+   */
+  countByStatus() {
+    const counts = Object.fromEntries(STATUSES.map((status) => [status, 0]));
+    for (const entry of this.entries.values()) {
+      counts[entry.status]++;
+    }
+    return counts;
+  }
+}
+
+/**
+ * Names a day by its local date, e.g. "2024-03-09".
+ *
+ * @param {Date} date - A moment of the day.
+ * @returns {string} The day.
+ */
+export function dateKey(date = new Date()) {
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Derives the seed of the puzzle of the day from the date, with the FNV-1a hash of its name, so every visitor
+ * generates the same puzzle on the same day.
+ *
+ * @param {Date} date - A moment of the day.
+ * @returns {number} The seed, see Generator.generatePuzzle.
+ */
+export function dailySeed(date = new Date()) {
+  let hash = 0x811c9dc5;
+  for (const character of dateKey(date)) {
+    hash = Math.imul(hash ^ character.charCodeAt(0), 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,373 @@
+import * as TennerGrid from "./TennerGrid.js";
+import { AllDifferentConstraint, ColumnSumConstraint } from "./CSP.js";
+
+/**
+ * The deduction techniques of the logical solver, from the simplest to the hardest.
+ * The level of the hardest technique a puzzle needs is an honest measure of its difficulty for a human.
+ */
+export const TECHNIQUES = {
+  singleCandidate: { label: "Single candidate", level: 1 },
+  adjacency: { label: "Elimination by adjacency", level: 1 },
+  sumBounds: { label: "Sum bounds", level: 1 },
+  hiddenSingle: { label: "Only place in the row", level: 2 },
+  nakedPair: { label: "Pair in a row", level: 3 },
+};
+
+/**
+ * A deduction of the logical solver.
+ *
+ * @typedef {object} Step
+ * @property {string} technique - The key of the technique in TECHNIQUES.
+ * @property {object|null} placement - The { variable, value } the step fills in, if any.
+ * @property {Array<Array>} eliminations - The [variable, values] candidates the step removes.
+ * @property {string[]} cells - The variables involved, the ones the explanation talks about.
+ * @property {string} explanation - The deduction in plain words.
+ */
+
+/**
+ * Upper-cases the first letter of a sentence.
+ *
+ * @param {string} text - The sentence.
+ * @returns {string} The sentence starting with a capital letter.
+ */
+function capitalize(text) {
+  return text[0].toUpperCase() + text.slice(1);
+}
+
+/**
+ * Lists variables in words.
+ *
+ * @param {string[]} variables - The variables.
+ * @returns {string} Their descriptions, separated by commas and a final "and".
+ */
+function describeAll(variables) {
+  const descriptions = variables.map(TennerGrid.describeVariable);
+  return descriptions.length === 1
+    ? descriptions[0]
+    : `${descriptions.slice(0, -1).join(", ")} and ${descriptions[descriptions.length - 1]}`;
+}
+
+/**
+ * Builds the candidates of every variable from the constraint model of a puzzle.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle, its givens and known targets are placed from the start.
+ * @returns {object} The candidates (variable -> Set of values), the placed variables, the peers of every variable
+ * (the variables it must differ from), the sum constraints, every constraint and the rows holding every digit once.
+ */
+function createState(puzzle) {
+  const csp = TennerGrid.createCSP(puzzle);
+  const candidates = new Map(csp.variables.map((variable) => [variable, new Set(csp.domains[variable])]));
+  const placed = new Set(csp.variables.filter((variable) => csp.domains[variable].length === 1));
+  const peers = new Map(csp.variables.map((variable) => [variable, new Set()]));
+  const sums = [];
+  const constraints = new Set(csp.variables.flatMap((variable) => csp.constraints[variable]));
+  for (const constraint of constraints) {
+    if (constraint instanceof AllDifferentConstraint) {
+      // the first variable must differ from the others
+      const [first, ...others] = constraint.variables;
+      for (const other of others) {
+        peers.get(first).add(other);
+        peers.get(other).add(first);
+      }
+    } else if (constraint instanceof ColumnSumConstraint) {
+      sums.push(constraint);
+    }
+  }
+  // a row has as many cells as digits, so when its cells are all different it holds every digit once
+  const rows = [];
+  if (TennerGrid.puzzleRules(puzzle).rowDistinct) {
+    for (let row = 0; row < puzzle.rows; row++) {
+      rows.push(Array.from({ length: puzzle.columns }, (_, col) => TennerGrid.cellVariable(row, col)));
+    }
+  }
+  const [digits] = TennerGrid.createDomains(puzzle.rows, puzzle.columns);
+  return { candidates, placed, peers, sums, constraints, rows, digits };
+}
+
+/**
+ * Finds a variable that has a single candidate left but is not placed yet. A candidate a placed peer already holds is
+ * left to findAdjacency, which removes it and so reveals the contradiction.
+ *
+ * @param {object} state - The state of the solver.
+ * @returns {Step|null} The step placing it, or null if there is none.
+ */
+function findSingleCandidate(state) {
+  for (const [variable, values] of state.candidates) {
+    if (values.size === 1 && !state.placed.has(variable)) {
+      const [value] = values;
+      if ([...state.peers.get(variable)].some((peer) => state.placed.has(peer) && state.candidates.get(peer).has(value))) {
+        continue;
+      }
+      return {
+        technique: "singleCandidate",
+        placement: { variable, value },
+        eliminations: [],
+        cells: [variable],
+        explanation: `${capitalize(TennerGrid.describeVariable(variable))} has a single candidate left, so it is ${value}.`,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds a placed cell whose value is still a candidate of a cell it must differ from.
+ *
+ * @param {object} state - The state of the solver.
+ * @returns {Step|null} The step removing the value from those cells, or null if there is none.
+ */
+function findAdjacency(state) {
+  for (const variable of state.placed) {
+    const [value] = state.candidates.get(variable);
+    const affected = [...state.peers.get(variable)]
+      .filter((peer) => !state.placed.has(peer) && state.candidates.get(peer).has(value));
+    if (affected.length > 0) {
+      return {
+        technique: "adjacency",
+        placement: null,
+        eliminations: affected.map((peer) => [peer, [value]]),
+        cells: [variable, ...affected],
+        explanation: `${capitalize(TennerGrid.describeVariable(variable))} is ${value}, so ${value} is removed from ` +
+          `${describeAll(affected)}, which must differ from it.`,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds a digit that has a single place left in a row that must hold every digit.
+ *
+ * @param {object} state - The state of the solver.
+ * @returns {Step|null} The step placing the digit, or null if there is none.
+ */
+function findHiddenSingle(state) {
+  for (const [row, cells] of state.rows.entries()) {
+    for (const digit of state.digits) {
+      const places = cells.filter((cell) => state.candidates.get(cell).has(digit));
+      if (places.length === 1 && !state.placed.has(places[0])) {
+        return {
+          technique: "hiddenSingle",
+          placement: { variable: places[0], value: digit },
+          eliminations: [],
+          cells: places,
+          explanation: `Row ${row + 1} holds every digit once, and ${TennerGrid.describeVariable(places[0])} is ` +
+            `the only cell of the row where ${digit} can go.`,
+        };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds a row or column sum that rules out some candidates: a value is out of reach when even the smallest
+ * (or largest) candidates of the other cells cannot bring the line to its target.
+ *
+ * @param {object} state - The state of the solver.
+ * @returns {Step|null} The step removing the values out of reach, or null if there is none.
+ */
+function findSumBounds(state) {
+  const bounds = (variable) => {
+    const values = [...state.candidates.get(variable)];
+    return [Math.min(...values), Math.max(...values)];
+  };
+  for (const constraint of state.sums) {
+    const target = constraint.targetVar;
+    const cells = constraint.variables.filter((variable) => variable !== target);
+    let low = 0;
+    let high = 0;
+    for (const cell of cells) {
+      const [min, max] = bounds(cell);
+      low += min;
+      high += max;
+    }
+    const [targetLow, targetHigh] = bounds(target);
+    // the range every variable has to stay in, given the bounds of the others
+    const ranges = new Map([[target, [low, high]]]);
+    for (const cell of cells) {
+      const [min, max] = bounds(cell);
+      ranges.set(cell, [targetLow - (high - max), targetHigh - (low - min)]);
+    }
+    const eliminations = [];
+    for (const [variable, [from, to]] of ranges) {
+      const removed = [...state.candidates.get(variable)].filter((value) => value < from || value > to);
+      if (removed.length > 0) {
+        eliminations.push([variable, removed]);
+      }
+    }
+    if (eliminations.length > 0) {
+      const { type, row, col } = TennerGrid.parseVariable(target);
+      const line = type === "target" ? `Column ${col + 1}` : `Row ${row + 1}`;
+      const sum = targetLow === targetHigh ? `${targetLow}` : `between ${targetLow} and ${targetHigh}`;
+      const left = eliminations.map(([variable, removed]) => {
+        const values = [...state.candidates.get(variable)].filter((value) => !removed.includes(value));
+        return `${TennerGrid.describeVariable(variable)}: ${values.length > 0 ? values.join(", ") : "no value"}`;
+      });
+      return {
+        technique: "sumBounds",
+        placement: null,
+        eliminations,
+        cells: eliminations.map(([variable]) => variable),
+        explanation: `${line} adds up to ${sum}, and its cells can only make between ${low} and ${high}. ` +
+          `Removing the values out of reach leaves ${left.join("; ")}.`,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Finds two cells of a row left with the same two candidates: they take those two digits between them, so no other
+ * cell of the row can.
+ *
+ * @param {object} state - The state of the solver.
+ * @returns {Step|null} The step removing the two digits from the rest of the row, or null if there is none.
+ */
+function findNakedPair(state) {
+  for (const [row, cells] of state.rows.entries()) {
+    const pairs = cells.filter((cell) => !state.placed.has(cell) && state.candidates.get(cell).size === 2);
+    for (const [i, first] of pairs.entries()) {
+      const digits = [...state.candidates.get(first)];
+      const second = pairs.slice(i + 1).find((cell) => digits.every((digit) => state.candidates.get(cell).has(digit)));
+      if (second === undefined) {
+        continue;
+      }
+      const eliminations = cells
+        .filter((cell) => cell !== first && cell !== second)
+        .map((cell) => [cell, digits.filter((digit) => state.candidates.get(cell).has(digit))])
+        .filter(([, removed]) => removed.length > 0);
+      if (eliminations.length > 0) {
+        return {
+          technique: "nakedPair",
+          placement: null,
+          eliminations,
+          cells: [first, second, ...eliminations.map(([cell]) => cell)],
+          explanation: `${capitalize(describeAll([first, second]))} can only be ${digits[0]} or ${digits[1]}, so ` +
+            `they take both digits of row ${row + 1} and ${describeAll(eliminations.map(([cell]) => cell))} ` +
+            `cannot be either of them.`,
+        };
+      }
+    }
+  }
+  return null;
+}
+
+const FINDERS = [findSingleCandidate, findAdjacency, findSumBounds, findHiddenSingle, findNakedPair]; // in the order of TECHNIQUES
+
+/**
+ * Applies the deductions to a puzzle one at a time, always with the simplest technique that finds one.
+ * It stops once every variable is placed, when no technique applies, or when a variable has no candidate left.
+ *
+ * @param {object} state - The state of the solver, updated with every step.
+ * @yields {Step} - Each deduction, after it is applied.
+ */
+function* deduce(state) {
+  while (state.placed.size < state.candidates.size) {
+    const step = FINDERS.reduce((found, find) => found ?? find(state), null);
+    if (step === null) {
+      return;
+    }
+    for (const [variable, values] of step.eliminations) {
+      for (const value of values) {
+        state.candidates.get(variable).delete(value);
+      }
+    }
+    if (step.placement !== null) {
+      state.candidates.set(step.placement.variable, new Set([step.placement.value]));
+      state.placed.add(step.placement.variable);
+    }
+    yield step;
+    if ([...state.candidates.values()].some((values) => values.size === 0)) {
+      return;
+    }
+  }
+}
+
+/**
+ * Reads the values of the placed variables.
+ *
+ * @param {object} state - The state of the solver.
+ * @returns {object} The assignment of the placed variables.
+ */
+function placedValues(state) {
+  const assignment = {};
+  for (const variable of state.placed) {
+    [assignment[variable]] = state.candidates.get(variable);
+  }
+  return assignment;
+}
+
+/**
+ * Tells how the deductions ended. A fully placed grid is checked against every constraint, since the last placements
+ * are not checked against the sums by any technique.
+ *
+ * @param {object} state - The state of the solver after its deductions.
+ * @returns {string} 'solved', 'contradiction' (a variable has no candidate left or the placed grid breaks a
+ * constraint, some value was wrong) or 'stuck' (no technique applies, the puzzle needs guessing or has several solutions).
+ */
+function outcome(state) {
+  if ([...state.candidates.values()].some((values) => values.size === 0)) {
+    return "contradiction";
+  }
+  if (state.placed.size < state.candidates.size) {
+    return "stuck";
+  }
+  return placementsHold(state) ? "solved" : "contradiction";
+}
+
+/**
+ * Checks the placed variables against every constraint.
+ *
+ * @param {object} state - The state of the solver.
+ * @returns {boolean} False if the placed values already break a constraint.
+ */
+function placementsHold(state) {
+  const assignment = placedValues(state);
+  return [...state.constraints].every((constraint) => constraint.satisfied(assignment));
+}
+
+/**
+ * Solves a puzzle by logic alone, explaining every deduction.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle, filled cells count as givens.
+ * @returns {object} The status ('solved', 'stuck' or 'contradiction'), the steps, the key of the hardest technique
+ * used (null when no step was needed) and the assignment of the placed variables.
+ */
+export function solveLogically(puzzle) {
+  const state = createState(puzzle);
+  const steps = [...deduce(state)];
+  const order = Object.keys(TECHNIQUES); // from the simplest to the hardest
+  let hardest = null;
+  for (const { technique } of steps) {
+    if (hardest === null || order.indexOf(technique) > order.indexOf(hardest)) {
+      hardest = technique;
+    }
+  }
+  return {
+    status: outcome(state),
+    steps,
+    hardest,
+    assignment: placedValues(state),
+  };
+}
+
+/**
+ * Finds the next value that can be filled in by logic, with the deductions that lead to it.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle, filled cells count as givens.
+ * @returns {object} The steps up to and including the first placement, and the status: 'hint' when a value was
+ * found, otherwise how the deductions ended (see solveLogically).
+ */
+export function nextHint(puzzle) {
+  const state = createState(puzzle);
+  const steps = [];
+  for (const step of deduce(state)) {
+    steps.push(step);
+    if (step.placement !== null) {
+      // a value that breaks a sum or a placed peer comes from a wrong value in the grid, it is no hint
+      return { status: placementsHold(state) ? "hint" : "contradiction", steps };
+    }
+  }
+  return { status: outcome(state), steps };
+}
@@ -0,0 +1,259 @@
+import * as TennerGrid from "./TennerGrid.js";
+
+/*
+ * Puzzles can be written in three formats:
+ *
+ * - JSON: the TennerGrid.Puzzle object itself, {"rows": 3, "columns": 10, "givens": [[5, null, ...], ...], "targets": [12, ...]},
+ *   with optional "rules" and "rowTargets".
+ * - Text: one line per grid row and a last line with the column targets, the way puzzles are printed in newspapers.
+ *   Values are separated by spaces, commas, tabs or |, and an empty cell is written as ., _, -, ? or x.
+ *   A grid row may also be written without separators ("5.3..1...7"). The targets line may start with "=" or follow
+ *   a line of dashes or equal signs, otherwise the last line is taken as the targets. Lines starting with # are comments.
+ *   A "rules: wrap rowSums" line lists the rules that are on, when they are not the classic ones. With row sums, each
+ *   grid row ends with its target, and without column sums there is no targets line.
+ * - Hash: a compact single line for URLs, "3x10:5_3__1___7...:12,17,,20,...", with one base 36 character per cell
+ *   (_ for an empty cell) and the targets separated by commas (empty for an unknown target). Puzzles with other rules
+ *   add ":<one 0 or 1 per rule of TennerGrid.DEFAULT_RULES>:<row targets>".
+ */
+
+const EMPTY_TOKENS = [".", "_", "-", "?", "x", "X"];
+const RULE_NAMES = Object.keys(TennerGrid.DEFAULT_RULES);
+
+/**
+ * Checks whether a puzzle uses the classic rules, which the text and hash formats do not need to write.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle.
+ * @returns {boolean} True if every rule has its default value.
+ */
+function hasDefaultRules(puzzle) {
+  const rules = TennerGrid.puzzleRules(puzzle);
+  return RULE_NAMES.every((name) => rules[name] === TennerGrid.DEFAULT_RULES[name]);
+}
+
+/**
+ * Checks that a puzzle has the expected shape and values.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle to check.
+ * @returns {TennerGrid.Puzzle} The puzzle.
+ * @throws {Error} - If the puzzle is malformed.
+ */
+export function validatePuzzle(puzzle) {
+  const { rows, columns, givens, targets, rules = {}, rowTargets = Array(rows).fill(null) } = puzzle;
+  if (!Number.isInteger(rows) || rows < 1 || !Number.isInteger(columns) || columns < 1) {
+    throw new Error("The puzzle needs a positive number of rows and columns.");
+  }
+  if (!Array.isArray(givens) || givens.length !== rows || givens.some((row) => !Array.isArray(row) || row.length !== columns)) {
+    throw new Error(`The puzzle needs ${rows} rows of ${columns} cells.`);
+  }
+  if (!Array.isArray(targets) || targets.length !== columns) {
+    throw new Error(`The puzzle needs ${columns} column targets.`);
+  }
+  if (!Array.isArray(rowTargets) || rowTargets.length !== rows) {
+    throw new Error(`The puzzle needs ${rows} row targets.`);
+  }
+  for (const [name, value] of Object.entries(rules)) {
+    if (!RULE_NAMES.includes(name) || typeof value !== "boolean") {
+      throw new Error(`Invalid rule: ${name}`);
+    }
+  }
+  for (const value of givens.flat()) {
+    // a grid with n columns uses the digits 0 to n - 1
+    if (value !== null && !(Number.isInteger(value) && value >= 0 && value < columns)) {
+      throw new Error(`Invalid cell value: ${value}`);
+    }
+  }
+  for (const value of [...targets, ...rowTargets]) {
+    if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+      throw new Error(`Invalid target value: ${value}`);
+    }
+  }
+  return puzzle;
+}
+
+/**
+ * Parses a single value of the text format.
+ *
+ * @param {string} token - The value as written.
+ * @returns {number|null} The value, null for an empty cell.
+ * @throws {Error} - If the token is neither a number nor an empty cell marker.
+ */
+function parseToken(token) {
+  if (EMPTY_TOKENS.includes(token)) {
+    return null;
+  }
+  if (!/^\d+$/.test(token)) {
+    throw new Error(`Invalid value in puzzle: ${token}`);
+  }
+  return parseInt(token);
+}
+
+/**
+ * Splits a line of the text format into its values.
+ *
+ * @param {string} line - The line, without comments.
+ * @param {number} trailing - The number of values written after the cells, e.g. a row target.
+ * @returns {string[]} The tokens of the line.
+ */
+function tokenize(line, trailing = 0) {
+  const tokens = line.split(/[\s,|]+/).filter((token) => token !== "");
+  // a grid row written without separators, e.g. "5.3..1...7"
+  if (tokens.length === 1 + trailing && tokens[0].length > 1) {
+    return [...tokens[0].split(""), ...tokens.slice(1)];
+  }
+  return tokens;
+}
+
+/**
+ * Parses a puzzle written in the text format.
+ *
+ * @param {string} text - The puzzle text.
+ * @returns {TennerGrid.Puzzle} The puzzle.
+ * @throws {Error} - If the text is not a valid puzzle.
+ */
+export function parseText(text) {
+  const lines = [];
+  let targetsLine = null;
+  let separatorSeen = false;
+  let rules = null;
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.trim();
+    if (line === "" || line.startsWith("#")) {
+      continue;
+    }
+    if (/^rules:/i.test(line)) {
+      const names = line.slice("rules:".length).split(/[\s,]+/).filter((name) => name !== "");
+      for (const name of names) {
+        if (!RULE_NAMES.includes(name)) {
+          throw new Error(`Unknown rule: ${name}`);
+        }
+      }
+      rules = Object.fromEntries(RULE_NAMES.map((name) => [name, names.includes(name)]));
+    } else if (/^[-=]{3,}$/.test(line)) {
+      separatorSeen = true;
+    } else if (line.startsWith("=") || separatorSeen) {
+      targetsLine = line.replace(/^=/, "");
+    } else {
+      lines.push(line);
+    }
+  }
+  rules ??= { ...TennerGrid.DEFAULT_RULES };
+  if (targetsLine === null && rules.columnSums) {
+    targetsLine = lines.pop();
+  }
+  if (lines.length === 0 || targetsLine === undefined) {
+    throw new Error("A puzzle needs at least one grid row and a line of targets.");
+  }
+  const givens = lines.map((line) => tokenize(line, rules.rowSums ? 1 : 0).map(parseToken));
+  // the row targets are the last value of each row
+  const rowTargets = givens.map((row) => (rules.rowSums ? row.pop() : null));
+  const columns = givens[0].length;
+  const targets = targetsLine === null
+    ? Array(columns).fill(null)
+    : targetsLine.split(/[\s,|]+/).filter((token) => token !== "").map(parseToken);
+  return validatePuzzle({ rows: givens.length, columns, givens, targets, rules, rowTargets });
+}
+
+/**
+ * Writes a puzzle in the text format.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle to write.
+ * @returns {string} The puzzle text.
+ */
+export function formatText(puzzle) {
+  const format = (value) => (value === null ? "." : String(value));
+  const rules = TennerGrid.puzzleRules(puzzle);
+  const lines = [`# Tenner grid ${puzzle.rows}x${puzzle.columns}`];
+  if (!hasDefaultRules(puzzle)) {
+    lines.push("rules: " + RULE_NAMES.filter((name) => rules[name]).join(" "));
+  }
+  puzzle.givens.forEach((row, i) => {
+    const rowTarget = rules.rowSums ? " | " + format(puzzle.rowTargets?.[i] ?? null) : "";
+    lines.push(row.map(format).join(" ") + rowTarget);
+  });
+  if (rules.columnSums) {
+    lines.push("= " + puzzle.targets.map(format).join(" "));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Parses a puzzle in the JSON or the text format, whichever the text is.
+ *
+ * @param {string} text - The puzzle text.
+ * @returns {TennerGrid.Puzzle} The puzzle.
+ * @throws {Error} - If the text is not a valid puzzle.
+ */
+export function parsePuzzle(text) {
+  if (text.trim().startsWith("{")) {
+    const { rows, columns, givens, targets, rules, rowTargets } = JSON.parse(text);
+    const puzzle = validatePuzzle({ rows, columns, givens, targets, rules, rowTargets });
+    return { ...puzzle, rules: TennerGrid.puzzleRules(puzzle), rowTargets: rowTargets ?? Array(rows).fill(null) };
+  }
+  return parseText(text);
+}
+
+/**
+ * Writes a puzzle in the JSON format.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle to write.
+ * @returns {string} The puzzle JSON.
+ */
+export function formatJSON(puzzle) {
+  const { rows, columns, givens, targets } = puzzle;
+  const rules = TennerGrid.puzzleRules(puzzle);
+  const rowTargets = puzzle.rowTargets ?? Array(rows).fill(null);
+  return JSON.stringify({ rows, columns, givens, targets, rules, rowTargets });
+}
+
+/**
+ * Encodes a puzzle in the compact format used in URL hashes.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle to encode.
+ * @returns {string} The encoded puzzle.
+ */
+export function encodePuzzle(puzzle) {
+  const cells = puzzle.givens.flat().map((value) => (value === null ? "_" : value.toString(36))).join("");
+  const format = (values) => values.map((value) => (value === null ? "" : value)).join(",");
+  const encoded = `${puzzle.rows}x${puzzle.columns}:${cells}:${format(puzzle.targets)}`;
+  if (hasDefaultRules(puzzle)) {
+    return encoded;
+  }
+  const rules = TennerGrid.puzzleRules(puzzle);
+  const ruleBits = RULE_NAMES.map((name) => (rules[name] ? "1" : "0")).join("");
+  return `${encoded}:${ruleBits}:${format(puzzle.rowTargets ?? Array(puzzle.rows).fill(null))}`;
+}
+
+/**
+ * Decodes a puzzle from the compact format used in URL hashes.
+ *
+ * @param {string} encoded - The encoded puzzle.
+ * @returns {TennerGrid.Puzzle} The puzzle.
+ * @throws {Error} - If the string is not a valid encoded puzzle.
+ */
+export function decodePuzzle(encoded) {
+  const match = /^(\d+)x(\d+):([0-9a-z_]+):([\d,]*)(?::([01]+):([\d,]*))?$/.exec(encoded);
+  if (match === null) {
+    throw new Error("Invalid puzzle link.");
+  }
+  const rows = parseInt(match[1]);
+  const columns = parseInt(match[2]);
+  const cells = match[3].split("").map((char) => (char === "_" ? null : parseInt(char, 36)));
+  if (cells.length !== rows * columns) {
+    throw new Error(`The puzzle link needs ${rows * columns} cells.`);
+  }
+  const parseValues = (values) => values.split(",").map((value) => (value === "" ? null : parseInt(value)));
+  const rules = {};
+  if (match[5] !== undefined) {
+    if (match[5].length !== RULE_NAMES.length) {
+      throw new Error("Invalid puzzle link.");
+    }
+    RULE_NAMES.forEach((name, i) => (rules[name] = match[5][i] === "1"));
+  }
+  const puzzle = TennerGrid.emptyPuzzle(rows, columns, rules);
+  puzzle.givens = puzzle.givens.map((row, i) => cells.slice(i * columns, (i + 1) * columns));
+  puzzle.targets = parseValues(match[4]);
+  if (match[6] !== undefined) {
+    puzzle.rowTargets = parseValues(match[6]);
+  }
+  return validatePuzzle(puzzle);
+}
@@ -0,0 +1,66 @@
+/*
+ * Seeded random numbers. Everything random (generated puzzles, randomized value orderings, min-conflicts, restarts)
+ * draws from a generator made by createRandom, so a run can be replayed exactly from its seed.
+ */
+
+const SEED_RANGE = 2 ** 32; // seeds are unsigned 32-bit integers
+
+/**
+ * Creates a random number generator with the mulberry32 algorithm: a tiny and fast generator whose sequence only
+ * depends on its seed.
+ *
+ * @param {number} seed - The seed, an integer from 0 to 2^32 - 1.
+ * @returns {function(): number} A function returning the next number of the sequence in [0, 1), like Math.random.
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+  };
+}
+
+/**
+ * Picks a seed for a run that was not given one. It is the only place that is not reproducible, which is why the seed
+ * it returns has to be reported with the run.
+ *
+ * @param {function(): number} random - The generator to draw the seed from, e.g. to derive the seeds of a batch from
+ * the seed of the batch.
+ * @returns {number} A seed, an integer from 0 to 2^32 - 1.
+ */
+export function randomSeed(random = Math.random) {
+  return Math.floor(random() * SEED_RANGE);
+}
+
+/**
+ * Reads a seed typed by a user.
+ *
+ * @param {string} text - The seed.
+ * @returns {number} The seed.
+ * @throws {Error} - If the text is not an integer from 0 to 2^32 - 1.
+ */
+export function parseSeed(text) {
+  const seed = Number(text.trim());
+  if (text.trim() === "" || !Number.isInteger(seed) || seed < 0 || seed >= SEED_RANGE) {
+    throw new Error(`A seed should be an integer from 0 to ${SEED_RANGE - 1}, got "${text}"`);
+  }
+  return seed;
+}
+
+/**
+ * Shuffles an array in place with the Fisher-Yates algorithm.
+ *
+ * @param {Array} array - The array to shuffle.
+ * @param {function(): number} random - The generator to draw from.
+ * @returns {Array} The shuffled array.
+ */
+export function shuffle(array, random) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
@@ -0,0 +1,137 @@
+import * as TennerGrid from "./TennerGrid.js";
+import { randomSeed } from "./Random.js";
+
+/**
+ * The search algorithms that can be run on a puzzle, keyed by the name used in messages and on the buttons.
+ * Each entry names the CSP method that runs it.
+ */
+export const ALGORITHMS = {
+  "backtracking": { label: "Back Tracking", method: "backtrackingSearch" },
+  "backtracking-mrv": { label: "Back Tracking With MRV", method: "backtrackingSearchWithMRV" },
+  "forwardchecking": { label: "Forward Checking", method: "forwardCheckingSearch" },
+  "forwardchecking-mrv": { label: "Forward Checking With MRV", method: "forwardCheckingSearchWithMRV" },
+  "mac": { label: "MAC", method: "macSearch" },
+  "mac-mrv": { label: "MAC With MRV", method: "macSearchWithMRV" },
+  "cbj": { label: "Backjumping", method: "cbjSearch" },
+  "cbj-mrv": { label: "Backjumping With MRV", method: "cbjSearchWithMRV" },
+  "cbj-nogoods": { label: "Backjumping With MRV And Nogoods", method: "cbjSearchWithNogoods" },
+  "min-conflicts": { label: "Min-Conflicts", method: "minConflicts" },
+};
+
+/**
+ * Adds up the statistics of two parts of a run, see CSP.statistics.
+ *
+ * @param {object} first - The statistics of the first part.
+ * @param {object} second - The statistics of the second part.
+ * @returns {object} The combined statistics, with the deeper of the two maximum depths.
+ */
+function addStatistics(first, second) {
+  const checksByConstraint = { ...first.checksByConstraint };
+  for (const [type, count] of Object.entries(second.checksByConstraint)) {
+    checksByConstraint[type] = (checksByConstraint[type] ?? 0) + count;
+  }
+  return {
+    consistencyChecks: first.consistencyChecks + second.consistencyChecks,
+    nodes: first.nodes + second.nodes,
+    backtracks: first.backtracks + second.backtracks,
+    pruned: first.pruned + second.pruned,
+    maxDepth: Math.max(first.maxDepth, second.maxDepth),
+    wipeouts: first.wipeouts + second.wipeouts,
+    restarts: first.restarts + second.restarts,
+    checksByConstraint,
+  };
+}
+
+/**
+ * Solves a puzzle with one of the ALGORITHMS.
+ * Everything it takes and returns is plain data, so it can run in a worker or a Node script.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle to solve.
+ * @param {object} options - The run options.
+ * @param {string} options.algorithm - The key of the algorithm in ALGORITHMS.
+ * @param {object} [options.strategy] - The variable and value ordering heuristics and the restarts, see CSP.setStrategy.
+ * @param {boolean} [options.preprocess] - Whether to shrink the domains with AC-3 before searching.
+ * @param {object} [options.budget] - The time and node limits, see CSP.setBudget.
+ * @param {number} [options.seed] - The seed of the random choices, see CSP.setSeed, a new one when it is not given.
+ * @param {function(object): void} [options.onProgress] - Called regularly with the consistency checks, nodes and depth so far
+ * (and the number of violated constraints for min-conflicts).
+ * @returns {object} The solution (or null), the status ('solved', 'unsolvable' or 'timed out'), the statistics of the
+ * run (see CSP.statistics, including the preprocessing), the time, the seed that replays the run, and for
+ * min-conflicts the [step, violated constraints] history of the search.
+ * @throws {Error} - If the algorithm is unknown.
+ */
+export function solve(puzzle, { algorithm, strategy = {}, preprocess = false, budget = {}, seed = randomSeed(), onProgress = null }) {
+  if (!(algorithm in ALGORITHMS)) {
+    throw new Error(`Unknown algorithm: ${algorithm}`);
+  }
+  const csp = TennerGrid.createCSP(puzzle);
+  csp.setStrategy(strategy);
+  csp.setSeed(seed);
+  csp.progress = onProgress;
+  const startTime = performance.now();
+  csp.setBudget(budget);
+  let solution = null;
+  let statistics;
+  if (preprocess && !csp.preprocess()) {
+    statistics = csp.statistics();
+  } else {
+    // every search resets the statistics, so the ones of the preprocessing are kept aside first
+    const preprocessing = preprocess ? csp.statistics() : null;
+    solution = csp[ALGORITHMS[algorithm].method]();
+    statistics = preprocess ? addStatistics(preprocessing, csp.statistics()) : csp.statistics();
+  }
+  const endTime = performance.now();
+  let status = "solved";
+  if (csp.timedOut) {
+    status = "timed out";
+  } else if (solution === null) {
+    status = "unsolvable";
+  }
+  return {
+    solution,
+    status,
+    ...statistics,
+    time: endTime - startTime,
+    seed,
+    conflictHistory: csp.conflictHistory,
+  };
+}
+
+export const SOLUTION_LIMIT = 10; // the solutions counted by default, enough to tell a unique puzzle and show alternatives
+
+/**
+ * Looks for several solutions of a puzzle, e.g. to tell whether it has a unique one, within a budget.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle.
+ * @param {object} options - The search options.
+ * @param {number} [options.limit] - The number of solutions after which the search stops.
+ * @param {object} [options.budget] - The time and node limits, see CSP.setBudget.
+ * @returns {object} The solutions found, limitReached: true when the search stopped at the limit, and timedOut: true
+ * when the budget ran out first. Either way the number of solutions is only a lower bound.
+ */
+export function findSolutions(puzzle, { limit = SOLUTION_LIMIT, budget = {} } = {}) {
+  const csp = TennerGrid.createCSP(puzzle);
+  csp.setBudget(budget);
+  const solutions = [];
+  for (const solution of csp.solutions()) {
+    solutions.push(solution);
+    if (solutions.length >= limit) {
+      break;
+    }
+  }
+  return { solutions, limitReached: solutions.length >= limit, timedOut: csp.timedOut };
+}
+
+/**
+ * Describes the number of solutions findSolutions found, the same way in the app and the command line.
+ *
+ * @param {object} found - The result of findSolutions.
+ * @returns {string} E.g. "1 solution", "at least 10 solutions" or "unknown number of solutions (timed out)".
+ */
+export function describeSolutionCount({ solutions, limitReached, timedOut }) {
+  if (timedOut && solutions.length === 0) {
+    return "unknown number of solutions (timed out)";
+  }
+  const count = limitReached || timedOut ? `at least ${solutions.length}` : solutions.length;
+  return `${count} ${solutions.length === 1 ? "solution" : "solutions"}${timedOut ? " (timed out)" : ""}`;
+}
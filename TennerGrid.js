@@ -0,0 +1,456 @@
+import * as CSPModule from "./CSP.js";
+
+/**
+ * A Tenner Grid puzzle described as plain data, so it can be built, solved and checked without a DOM.
+ *
+ * @typedef {object} Puzzle
+ * @property {number} rows - The number of rows in the grid.
+ * @property {number} columns - The number of columns in the grid.
+ * @property {Array<Array<number|null>>} givens - A rows x columns matrix of predefined values, null for an empty cell.
+ * @property {Array<number|null>} targets - The column sums, null for a target that is not known.
+ * @property {Rules} [rules] - The rule variant of the puzzle, the classic Tenner Grid rules when missing.
+ * @property {Array<number|null>} [rowTargets] - The row sums when the rules use them, null for a target that is not known.
+ */
+
+/**
+ * The rules of a puzzle. The classic Tenner Grid uses distinct rows, the eight surrounding cells and column sums.
+ *
+ * @typedef {object} Rules
+ * @property {boolean} rowDistinct - All the cells of a row must be different.
+ * @property {boolean} diagonals - Diagonally adjacent cells must be different (orthogonal ones always are).
+ * @property {boolean} wrap - The grid wraps around (toroidal adjacency): the first and last rows and columns touch.
+ * @property {boolean} columnSums - Each column must add up to the target below it.
+ * @property {boolean} rowSums - Each row must add up to the target on its right.
+ */
+export const DEFAULT_RULES = { rowDistinct: true, diagonals: true, wrap: false, columnSums: true, rowSums: false };
+
+/**
+ * Returns the full rules of a puzzle, filling in the classic rules for anything it does not set.
+ *
+ * @param {Puzzle} puzzle - The puzzle.
+ * @returns {Rules} The rules of the puzzle.
+ */
+export function puzzleRules(puzzle) {
+  return { ...DEFAULT_RULES, ...puzzle.rules };
+}
+
+/**
+ * Returns the variable of a grid cell.
+ * Variables are only built and read through cellVariable, targetVariable and parseVariable, so any row or column
+ * index works, including ones with several digits.
+ *
+ * @param {number} row - The row of the cell.
+ * @param {number} col - The column of the cell.
+ * @returns {string} The variable representing the cell.
+ */
+export function cellVariable(row, col) {
+  return row + "," + col;
+}
+
+/**
+ * Returns the variable of the target cell (column sum) of a column.
+ *
+ * @param {number} col - The column of the target cell.
+ * @returns {string} The variable representing the target cell.
+ */
+export function targetVariable(col) {
+  return "t" + col;
+}
+
+/**
+ * Returns the variable of the row target cell (row sum) of a row.
+ *
+ * @param {number} row - The row of the target cell.
+ * @returns {string} The variable representing the row target cell.
+ */
+export function rowTargetVariable(row) {
+  return "s" + row;
+}
+
+/**
+ * Reads the position of a cell from its variable.
+ *
+ * @param {string} variable - A variable made by cellVariable, targetVariable or rowTargetVariable.
+ * @returns {object} { type: "cell", row, col } for a grid cell, { type: "target", col } for a target cell
+ * or { type: "rowTarget", row } for a row target cell.
+ */
+export function parseVariable(variable) {
+  if (variable.startsWith("t")) {
+    return { type: "target", col: parseInt(variable.slice(1)) };
+  }
+  if (variable.startsWith("s")) {
+    return { type: "rowTarget", row: parseInt(variable.slice(1)) };
+  }
+  const [row, col] = variable.split(",").map(Number);
+  return { type: "cell", row, col };
+}
+
+/**
+ * Describes a variable in words, for explanations shown to the user.
+ *
+ * @param {string} variable - The variable to describe.
+ * @returns {string} The description, with rows and columns counted from 1.
+ */
+export function describeVariable(variable) {
+  const { type, row, col } = parseVariable(variable);
+  if (type === "target") {
+    return `target of column ${col + 1}`;
+  }
+  if (type === "rowTarget") {
+    return `target of row ${row + 1}`;
+  }
+  return `cell (${row + 1}, ${col + 1})`;
+}
+
+/**
+ * Creates an empty puzzle (no givens and no targets).
+ *
+ * @param {number} rows - The number of rows in the grid.
+ * @param {number} columns - The number of columns in the grid.
+ * @param {object} rules - The rules that differ from the classic ones, see Rules.
+ * @returns {Puzzle} The empty puzzle.
+ */
+export function emptyPuzzle(rows, columns = 10, rules = {}) {
+  return {
+    rows,
+    columns,
+    givens: Array.from({ length: rows }, () => Array(columns).fill(null)),
+    targets: Array(columns).fill(null),
+    rules: { ...DEFAULT_RULES, ...rules },
+    rowTargets: Array(rows).fill(null),
+  };
+}
+
+/**
+ * Creates the variables for the Constraint Satisfaction Problem (CSP).
+ * The variables in our CSP will be the grid cells (row by row) followed by the column target cells and the
+ * row target cells, when the rules use them.
+ *
+ * @param {number} rows - The number of rows in the grid.
+ * @param {number} columns - The number of columns in the grid.
+ * @param {Rules} rules - The rules of the puzzle.
+ * @returns {string[]} An array of variables representing the grid cells and target cells.
+ */
+export function createVariables(rows, columns, rules = DEFAULT_RULES) {
+  const variables = [];
+  for (let i = 0; i < rows; i++) {
+    for (let j = 0; j < columns; j++) {
+      variables.push(cellVariable(i, j));
+    }
+  }
+  if (rules.columnSums) {
+    for (let j = 0; j < columns; j++) {
+      variables.push(targetVariable(j));
+    }
+  }
+  if (rules.rowSums) {
+    for (let i = 0; i < rows; i++) {
+      variables.push(rowTargetVariable(i));
+    }
+  }
+  return variables;
+}
+
+/**
+ * Creates the domains for the CSP.
+ * The domains in our CSP will be the possible values for each grid cell and target cell.
+ * A grid with n columns uses the digits 0 to n - 1, so every row holds each digit once (0 to 9 for the classic 10 columns).
+ *
+ * @param {number} rows - The number of rows in the grid.
+ * @param {number} columns - The number of columns in the grid.
+ * @returns {Array<Array<number>>} An array containing the grid cells domain, the column target cells domain and
+ * the row target cells domain.
+ */
+export function createDomains(rows, columns = 10) {
+  const gridCellsDomain = Array.from({ length: columns }, (_, i) => i);
+  // The target cells have a different domain
+  return [gridCellsDomain, sumDomain(rows, columns - 1), sumDomain(columns, columns - 1)];
+}
+
+/**
+ * Reads a digit typed as a sequence of keys. Grids wider than 10 columns use digits past 9, which take two keys.
+ *
+ * @param {string} keys - The keys typed so far, e.g. "1" then "11".
+ * @param {number} columns - The number of columns in the grid, its digits go from 0 to columns - 1.
+ * @returns {object} The digit the keys stand for (null when they stand for none of the grid's digits) and complete:
+ * true when no further key can make it a larger digit of the grid.
+ */
+export function readDigitKeys(keys, columns = 10) {
+  const digit = Number(keys);
+  if (!/^\d+$/.test(keys) || digit > columns - 1) {
+    return { digit: null, complete: true };
+  }
+  return { digit, complete: digit === 0 || digit * 10 > columns - 1 };
+}
+
+/**
+ * Creates the domain of a target cell: the possible sums of a line of cells where neighbours must be different.
+ *
+ * @param {number} length - The number of cells in the line.
+ * @param {number} maxDigit - The largest value of a cell.
+ * @returns {Array<number>} The possible sums.
+ */
+function sumDomain(length, maxDigit) {
+  const minValue = Math.floor(length / 2) * 1; // The minimum value for a target cell e.g. 0, 1, 0, 1, 0 = 2
+  const maxValue = Math.ceil(length / 2) * maxDigit + Math.floor(length / 2) * (maxDigit - 1); // The maximum value for a target cell e.g. 9, 8, 9, 8, 9 = 43
+  // a range of possible values for a target cell starting from the minimum value and ending at the maximum value
+  return Array.from(
+    { length: maxValue - minValue + 1 },
+    (_, i) => minValue + i
+  );
+}
+
+/**
+ * Initializes variables and domains for the Tenner Grid CSP.
+ *
+ * @param {Puzzle} puzzle - The puzzle to build the variables and domains for.
+ * @returns {Array} An array containing the variables and domains.
+ */
+export function initializeVariablesAndDomains(puzzle) {
+  const { rows, columns, givens, targets, rowTargets = [] } = puzzle;
+  const variables = createVariables(rows, columns, puzzleRules(puzzle));
+  // Adding the domains to the variables
+  const [gridCellsDomain, targetCellsDomain, rowTargetCellsDomain] = createDomains(rows, columns);
+  const defaultDomains = { cell: gridCellsDomain, target: targetCellsDomain, rowTarget: rowTargetCellsDomain };
+  const domains = {}; // a map of {variable: domain}
+  for (const variable of variables) {
+    const { type, row, col } = parseVariable(variable);
+    // the predefined value of the variable, if any
+    const value = { cell: givens[row]?.[col], target: targets[col], rowTarget: rowTargets[row] }[type];
+    if (value !== null && value !== undefined) {
+      // if the cell has a predefined value then we restrict the domain to that value
+      domains[variable] = [value];
+    }
+    // otherwise we use default domains
+    else {
+      domains[variable] = defaultDomains[type]; // all possible values for this kind of cell
+    }
+  }
+  return [variables, domains];
+}
+
+/**
+ * Generates column sum constraints for a given set of variables and CSP.
+ *
+ * @param {Array} variables - The array of variables.
+ * @param {CSP} csp - The CSP object.
+ * @param {number} rows - The number of rows in the grid.
+ * @param {number} columns - The number of columns in the grid.
+ */
+export function genColSumConstraint(variables, csp, rows, columns) {
+  for (let i = 0; i < columns; i++) {
+    const colVariables = [];
+    for (let j = 0; j < rows; j++) {
+      colVariables.push(cellVariable(j, i));
+    }
+    colVariables.push(targetVariable(i)); // the target cell comes last
+    csp.addConstraint(new CSPModule.ColumnSumConstraint(colVariables));
+  }
+}
+
+/**
+ * Generates row sum constraints for a given set of variables and CSP.
+ *
+ * @param {Array} variables - The array of variables.
+ * @param {CSP} csp - The CSP object.
+ * @param {number} rows - The number of rows in the grid.
+ * @param {number} columns - The number of columns in the grid.
+ */
+export function genRowSumConstraint(variables, csp, rows, columns) {
+  for (let i = 0; i < rows; i++) {
+    const rowVariables = [];
+    for (let j = 0; j < columns; j++) {
+      rowVariables.push(cellVariable(i, j));
+    }
+    rowVariables.push(rowTargetVariable(i)); // the target cell comes last
+    csp.addConstraint(new CSPModule.RowSumConstraint(rowVariables));
+  }
+}
+
+/**
+ * Generates an AllDifferent constraint for the given variables and adds it to the CSP.
+ * The AllDifferent constraint ensures that all variables in the constraint have distinct values.
+ *
+ * @param {Array} variables - The variables to include in the AllDifferent constraint.
+ * @param {CSP} csp - The CSP (Constraint Satisfaction Problem) to add the constraint to.
+ * @param {number} rows - The number of rows in the grid.
+ * @param {number} columns - The number of columns in the grid.
+ * @param {Rules} rules - The rules deciding which cells have to be different.
+ */
+export function genAllDiffConstraint(variables, csp, rows, columns, rules = DEFAULT_RULES) {
+  // the row and column offsets of the adjacent cells, the diagonal ones only when the rules include them
+  const offsets = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+  if (rules.diagonals) {
+    offsets.push([-1, -1], [-1, 1], [1, -1], [1, 1]);
+  }
+  // for each cell in the grid we need to add all the cells that are adjacent to it (and in the same row) to the allDiff constraint
+  for (let i = 0; i < rows; i++) {
+    for (let j = 0; j < columns; j++) {
+      const current = cellVariable(i, j);
+      const others = new Set(); // a set, as wrapping around a small grid can reach the same cell twice
+      for (let [row, col] of offsets.map(([dr, dc]) => [i + dr, j + dc])) {
+        if (rules.wrap) {
+          row = (row + rows) % rows;
+          col = (col + columns) % columns;
+        }
+        if (row >= 0 && row < rows && col >= 0 && col < columns) {
+          others.add(cellVariable(row, col));
+        }
+      }
+      // add all cells in the same row
+      if (rules.rowDistinct) {
+        for (let k = 0; k < columns; k++) {
+          others.add(cellVariable(i, k));
+        }
+      }
+      others.delete(current);
+      // the current cell comes first, it is the one that must differ from the others
+      csp.addConstraint(
+        new CSPModule.AllDifferentConstraint([current, ...others])
+      );
+    }
+  }
+}
+
+/**
+ * Creates a CSP (Constraint Satisfaction Problem) instance for a Tenner Grid puzzle.
+ *
+ * This function initializes the variables and domains for the CSP, and adds the sum and all-different constraints
+ * the rules of the puzzle ask for.
+ *
+ * @param {Puzzle} puzzle - The puzzle to model.
+ * @returns {CSP} The created CSP instance, ready to be searched.
+ */
+export function createCSP(puzzle) {
+  const rules = puzzleRules(puzzle);
+  const [variables, domains] = initializeVariablesAndDomains(puzzle);
+  const csp = new CSPModule.CSP(variables, domains);
+  if (rules.columnSums) {
+    genColSumConstraint(variables, csp, puzzle.rows, puzzle.columns);
+  }
+  if (rules.rowSums) {
+    genRowSumConstraint(variables, csp, puzzle.rows, puzzle.columns);
+  }
+  genAllDiffConstraint(variables, csp, puzzle.rows, puzzle.columns, rules);
+  return csp;
+}
+
+/**
+ * Finds the candidates of every cell and target of a (partially) filled puzzle, for pencil marks: the values left in
+ * the domains once arc consistency (AC-3) has propagated the givens.
+ *
+ * @param {Puzzle} puzzle - The puzzle, with the user entries as givens.
+ * @returns {object} The candidates of every variable (candidates) and false in consistent when propagation left some
+ * variable without any value.
+ */
+export function findCandidates(puzzle) {
+  const csp = createCSP(puzzle);
+  const consistent = csp.preprocess();
+  return { candidates: csp.domains, consistent };
+}
+
+/**
+ * Converts an assignment (e.g. a search result) to a puzzle whose givens and targets are the assigned values.
+ *
+ * @param {object} assignment - The assignment of variables and their values.
+ * @param {number} rows - The number of rows in the grid.
+ * @param {number} columns - The number of columns in the grid.
+ * @param {object} rules - The rules of the puzzle, see Rules.
+ * @returns {Puzzle} The puzzle holding the assigned values.
+ */
+export function assignmentToPuzzle(assignment, rows, columns, rules = {}) {
+  const puzzle = emptyPuzzle(rows, columns, rules);
+  for (const variable in assignment) {
+    const { type, row, col } = parseVariable(variable);
+    if (type === "target") {
+      puzzle.targets[col] = assignment[variable];
+    } else if (type === "rowTarget") {
+      puzzle.rowTargets[row] = assignment[variable];
+    } else {
+      puzzle.givens[row][col] = assignment[variable];
+    }
+  }
+  return puzzle;
+}
+
+/**
+ * Converts a puzzle to an assignment of its givens and known targets.
+ *
+ * @param {Puzzle} puzzle - The puzzle to convert.
+ * @returns {object} The assignment of variables and their values.
+ */
+export function puzzleToAssignment(puzzle) {
+  const assignment = {};
+  for (let i = 0; i < puzzle.rows; i++) {
+    for (let j = 0; j < puzzle.columns; j++) {
+      if (puzzle.givens[i][j] !== null) {
+        assignment[cellVariable(i, j)] = puzzle.givens[i][j];
+      }
+    }
+  }
+  const rules = puzzleRules(puzzle);
+  for (let j = 0; j < puzzle.columns; j++) {
+    if (rules.columnSums && puzzle.targets[j] !== null) {
+      assignment[targetVariable(j)] = puzzle.targets[j];
+    }
+  }
+  for (let i = 0; i < puzzle.rows; i++) {
+    if (rules.rowSums && (puzzle.rowTargets?.[i] ?? null) !== null) {
+      assignment[rowTargetVariable(i)] = puzzle.rowTargets[i];
+    }
+  }
+  return assignment;
+}
+
+/**
+ * Checks the values of a (partially) filled puzzle against the rules, for hand-solving.
+ * A cell is in conflict when it repeats a value of a cell it must differ from (its row and neighbours, depending on
+ * the rules). A column or row is in conflict when its filled cells already exceed its target, or when even the
+ * largest values in its empty cells cannot reach it.
+ *
+ * @param {Puzzle} puzzle - The puzzle, with the user entries as givens.
+ * @returns {object} The conflicting cell variables (cells), the conflicting column indices (columns), the conflicting
+ * row indices (rows), whether every cell is filled (complete) and whether the grid is complete without any
+ * conflict (solved).
+ */
+export function findConflicts(puzzle) {
+  const csp = createCSP(puzzle);
+  const assignment = puzzleToAssignment(puzzle);
+  const cells = new Set();
+  const columns = new Set();
+  const rows = new Set();
+  const constraints = new Set(Object.values(csp.constraints).flat());
+  for (const constraint of constraints) {
+    if (constraint.satisfied(assignment)) {
+      if (!(constraint instanceof CSPModule.ColumnSumConstraint) || assignment[constraint.targetVar] === undefined) {
+        continue;
+      }
+      // the constraint only fails once the sum is exceeded, so check whether the target can still be reached
+      let maxSum = 0;
+      for (const variable of constraint.variables) {
+        if (variable !== constraint.targetVar) {
+          maxSum += assignment[variable] ?? Math.max(...csp.domains[variable]);
+        }
+      }
+      if (maxSum >= assignment[constraint.targetVar]) {
+        continue;
+      }
+    }
+    if (constraint instanceof CSPModule.RowSumConstraint) {
+      rows.add(parseVariable(constraint.targetVar).row);
+    } else if (constraint instanceof CSPModule.ColumnSumConstraint) {
+      columns.add(parseVariable(constraint.targetVar).col);
+    } else {
+      const [first, ...others] = constraint.variables;
+      for (const other of others) {
+        if (assignment[other] === assignment[first]) {
+          cells.add(first);
+          cells.add(other);
+        }
+      }
+    }
+  }
+  const complete = csp.variables.every((variable) => variable in assignment);
+  const solved = complete && cells.size === 0 && columns.size === 0 && rows.size === 0;
+  return { cells, columns, rows, complete, solved };
+}
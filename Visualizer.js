@@ -0,0 +1,75 @@
+/**
+ * Plays back a recorded stream of search events (see CSP.listener) one event at a time.
+ * The animator knows nothing about the page, every event is handed to the render callback.
+ */
+export class SearchAnimator {
+  /**
+   * @param {Array<object>} events - The recorded search events, in order.
+   * @param {function(object, number): void} render - Called with each event and its index when it is played.
+   * @param {number} delay - The delay between two events in milliseconds while playing.
+   */
+  constructor(events, render, delay = 100) {
+    this.events = events;
+    this.render = render;
+    this.delay = delay;
+    this.position = 0; // the index of the next event to play
+    this.timer = null;
+  }
+
+  /**
+   * Checks if every event has been played.
+   *
+   * @returns {boolean} True if there is no event left, false otherwise.
+   */
+  finished() {
+    return this.position >= this.events.length;
+  }
+
+  /**
+   * Plays the next event.
+   *
+   * @returns {boolean} True if an event was played, false if the stream is finished.
+   */
+  step() {
+    if (this.finished()) {
+      return false;
+    }
+    this.render(this.events[this.position], this.position);
+    this.position++;
+    return true;
+  }
+
+  /**
+   * Plays the events one after the other until the stream is finished or the animator is paused.
+   */
+  play() {
+    if (this.timer !== null) {
+      return;
+    }
+    const tick = () => {
+      if (this.step()) {
+        this.timer = setTimeout(tick, this.delay);
+      } else {
+        this.timer = null;
+      }
+    };
+    tick();
+  }
+
+  /**
+   * Stops playing, the next call to play or step continues from the current event.
+   */
+  pause() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Changes the delay between two events, it takes effect from the next event.
+   *
+   * @param {number} delay - The delay in milliseconds.
+   */
+  setDelay(delay) {
+    this.delay = delay;
+  }
+}
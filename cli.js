@@ -0,0 +1,480 @@
+#!/usr/bin/env node
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import * as TennerGrid from "./TennerGrid.js";
+import * as Generator from "./Generator.js";
+import * as Solvers from "./Solvers.js";
+import * as Benchmark from "./Benchmark.js";
+import * as PuzzleFormat from "./PuzzleFormat.js";
+import * as Exporters from "./Exporters.js";
+import * as Random from "./Random.js";
+import { RESTART_STRATEGIES } from "./CSP.js";
+
+// short names for the classic algorithms, any key of Solvers.ALGORITHMS works too
+const ALIASES = {
+  "bt": "backtracking",
+  "bt-mrv": "backtracking-mrv",
+  "fc": "forwardchecking",
+  "fc-mrv": "forwardchecking-mrv",
+};
+
+const USAGE = `Usage: tenner-grid <command> [options] [puzzle files]
+
+Puzzle files use the text or JSON format of PuzzleFormat.js, "-" reads a puzzle from the standard input.
+
+Commands:
+  solve <files...>   solve each puzzle and print its solution and search statistics
+  count <files...>   count the solutions of each puzzle
+  bench <files...>   run several algorithms on each puzzle and summarize their effort
+  generate           generate puzzles with a unique solution
+  export <files...>  write each puzzle as a MiniZinc model or DIMACS CNF, for external solvers
+  check <file>       check the answer of an external solver (--solution) to an exported puzzle
+
+Options:
+  -a, --algorithm <name>      the algorithm of solve (default fc-mrv): ${Object.keys(ALIASES).join(", ")}
+                              or ${Object.keys(Solvers.ALGORITHMS).join(", ")}
+  --algorithms <names>        comma-separated algorithms of bench (default all of them)
+  --variable-ordering <name>  first, mrv, degree, mrv-degree or dom-wdeg (default the algorithm's own)
+  --value-ordering <name>     natural, lcv or random (default natural)
+  --restarts <name>           ${RESTART_STRATEGIES.join(", ")} (default none): restart the search after
+                              Luby or geometrically growing numbers of backtracks
+  --seed <n>                  the seed of the random choices (generated puzzles, random value ordering,
+                              restarts, min-conflicts), so a run can be replayed (default a new one, printed)
+  --preprocess                shrink the domains with AC-3 before solving
+  --time-limit <ms>           stop a search after this time
+  --node-limit <n>            stop a search after this many nodes
+  --limit <n>                 stop counting after this many solutions (default ${Solvers.SOLUTION_LIMIT})
+  --rows <n>                  the rows of generated puzzles (default 3)
+  --columns <n>               the columns of generated puzzles (default 10)
+  --difficulty <level>        easy, medium or hard (default medium)
+  --rules <names>             the rules that are on, comma-separated (default the classic ones):
+                              ${Object.keys(TennerGrid.DEFAULT_RULES).join(", ")}
+  -n, --count <n>             the number of puzzles to generate (default 1)
+  -o, --output <directory>    write generated or exported puzzles to files instead of printing them
+  --format <name>             the format of export and check: minizinc or dimacs (default minizinc)
+  --solution <file>           the answer of the external solver, for check
+  --json                      print JSON instead of text
+  --csv                       print the records of bench as CSV
+  -h, --help                  show this help
+`;
+
+const OPTIONS = {
+  "algorithm": { type: "string", short: "a", default: "fc-mrv" },
+  "algorithms": { type: "string" },
+  "variable-ordering": { type: "string" },
+  "value-ordering": { type: "string", default: "natural" },
+  "restarts": { type: "string", default: "none" },
+  "seed": { type: "string" },
+  "preprocess": { type: "boolean", default: false },
+  "time-limit": { type: "string" },
+  "node-limit": { type: "string" },
+  "limit": { type: "string" },
+  "rows": { type: "string", default: "3" },
+  "columns": { type: "string", default: "10" },
+  "difficulty": { type: "string", default: "medium" },
+  "rules": { type: "string" },
+  "count": { type: "string", short: "n", default: "1" },
+  "output": { type: "string", short: "o" },
+  "format": { type: "string", default: "minizinc" },
+  "solution": { type: "string" },
+  "json": { type: "boolean", default: false },
+  "csv": { type: "boolean", default: false },
+  "help": { type: "boolean", short: "h", default: false },
+};
+
+/**
+ * Reads a numeric option.
+ *
+ * @param {object} options - The parsed options.
+ * @param {string} name - The name of the option.
+ * @param {number} fallback - The value when the option is not given.
+ * @returns {number} The value of the option.
+ * @throws {Error} - If the option is not a positive integer.
+ */
+function readNumber(options, name, fallback) {
+  if (options[name] === undefined) {
+    return fallback;
+  }
+  const value = Number(options[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`--${name} should be a positive integer, got "${options[name]}"`);
+  }
+  return value;
+}
+
+/**
+ * Reads the --seed option.
+ *
+ * @param {object} options - The parsed options.
+ * @returns {number} The seed, a new one when the option is not given.
+ * @throws {Error} - If the seed is invalid.
+ */
+function readSeed(options) {
+  return options.seed === undefined ? Random.randomSeed() : Random.parseSeed(options.seed);
+}
+
+/**
+ * Finds the algorithm named on the command line.
+ *
+ * @param {string} name - A key of Solvers.ALGORITHMS or one of ALIASES, "+" may be used instead of "-" (e.g. "fc+mrv").
+ * @returns {string} The key of the algorithm in Solvers.ALGORITHMS.
+ * @throws {Error} - If the algorithm is unknown.
+ */
+function resolveAlgorithm(name) {
+  const key = name.toLowerCase().replace(/\+/g, "-");
+  const algorithm = ALIASES[key] ?? key;
+  if (!(algorithm in Solvers.ALGORITHMS)) {
+    throw new Error(`Unknown algorithm: ${name}`);
+  }
+  return algorithm;
+}
+
+/**
+ * Reads the search options shared by solve and bench.
+ *
+ * @param {object} options - The parsed options.
+ * @returns {object} The strategy, the budget and the seed, see CSP.setStrategy, CSP.setBudget and CSP.setSeed.
+ */
+function readSearchOptions(options) {
+  return {
+    strategy: {
+      variableOrdering: options["variable-ordering"] ?? null,
+      valueOrdering: options["value-ordering"],
+      restarts: options.restarts,
+    },
+    seed: readSeed(options),
+    budget: {
+      timeLimit: readNumber(options, "time-limit", Infinity),
+      nodeLimit: readNumber(options, "node-limit", Infinity),
+    },
+  };
+}
+
+/**
+ * Reads the rules named by --rules: the ones listed are on and the others off, like the rules line of the text format.
+ *
+ * @param {object} options - The parsed options.
+ * @returns {object} The rules, see TennerGrid.Rules.
+ * @throws {Error} - If a rule is unknown.
+ */
+function readRules(options) {
+  if (options.rules === undefined) {
+    return { ...TennerGrid.DEFAULT_RULES };
+  }
+  const names = options.rules.split(",").map((name) => name.trim()).filter((name) => name !== "");
+  const rules = {};
+  for (const name in TennerGrid.DEFAULT_RULES) {
+    rules[name] = names.includes(name);
+  }
+  for (const name of names) {
+    if (!(name in TennerGrid.DEFAULT_RULES)) {
+      throw new Error(`Unknown rule: ${name}`);
+    }
+  }
+  return rules;
+}
+
+/**
+ * Reads everything written to the standard input.
+ *
+ * @returns {Promise<string>} The text read.
+ */
+async function readStandardInput() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Reads and parses the puzzle files.
+ *
+ * @param {string[]} files - The paths of the files, "-" for the standard input.
+ * @returns {Promise<Array<object>>} The { file, puzzle } of every file.
+ * @throws {Error} - If no file is given, or a file cannot be read or parsed.
+ */
+async function readPuzzles(files) {
+  if (files.length === 0) {
+    throw new Error("No puzzle file given");
+  }
+  const puzzles = [];
+  for (const file of files) {
+    const text = file === "-" ? await readStandardInput() : await readFile(file, "utf8");
+    try {
+      puzzles.push({ file, puzzle: PuzzleFormat.parsePuzzle(text) });
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+  }
+  return puzzles;
+}
+
+/**
+ * Pads the cells of a table so its columns line up.
+ *
+ * @param {Array<Array>} rows - The rows of the table, the first one is the header.
+ * @returns {string} The table, one line per row.
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map((row) => String(row[i]).length)));
+  return rows.map((row) => row.map((cell, i) => String(cell).padEnd(widths[i])).join("  ").trimEnd()).join("\n") + "\n";
+}
+
+/**
+ * Solves every puzzle with the chosen algorithm.
+ *
+ * @param {string[]} files - The puzzle files.
+ * @param {object} options - The parsed options.
+ * @returns {Promise<string>} The solutions and statistics, as text or JSON.
+ */
+async function solveCommand(files, options) {
+  const algorithm = resolveAlgorithm(options.algorithm);
+  const results = [];
+  for (const { file, puzzle } of await readPuzzles(files)) {
+    const { solution, conflictHistory, ...result } = Solvers.solve(puzzle, {
+      algorithm,
+      preprocess: options.preprocess,
+      ...readSearchOptions(options),
+    });
+    const solved = solution === null
+      ? null
+      : TennerGrid.assignmentToPuzzle(solution, puzzle.rows, puzzle.columns, TennerGrid.puzzleRules(puzzle));
+    results.push({ file, algorithm, ...result, solution: solved });
+  }
+  if (options.json) {
+    return JSON.stringify(results, null, 2) + "\n";
+  }
+  return results.map((result) => {
+    const checks = Object.entries(result.checksByConstraint).map(([type, count]) => `${type} ${count}`);
+    return [
+      `# ${result.file}: ${result.status} with ${Solvers.ALGORITHMS[result.algorithm].label} in ${result.time.toFixed(2)} ms`,
+      `# ${result.consistencyChecks} consistency checks, ${result.nodes} nodes, ${result.backtracks} backtracks, ` +
+        `${result.pruned} values pruned, max depth ${result.maxDepth}, ${result.wipeouts} wipeouts, ` +
+        `${result.restarts} restarts, seed ${result.seed}`,
+      ...(checks.length > 0 ? [`# constraint checks: ${checks.join(", ")}`] : []),
+      ...(result.solution !== null ? [PuzzleFormat.formatText(result.solution).trimEnd()] : []),
+    ].join("\n") + "\n";
+  }).join("\n");
+}
+
+/**
+ * Counts the solutions of every puzzle, up to --limit and within the time and node limits.
+ * A count cut short by the limit or the budget is a lower bound, printed as "at least".
+ *
+ * @param {string[]} files - The puzzle files.
+ * @param {object} options - The parsed options.
+ * @returns {Promise<string>} The counts, as text or JSON.
+ */
+async function countCommand(files, options) {
+  const limit = readNumber(options, "limit", Solvers.SOLUTION_LIMIT);
+  const { budget } = readSearchOptions(options);
+  const results = [];
+  for (const { file, puzzle } of await readPuzzles(files)) {
+    const found = Solvers.findSolutions(puzzle, { limit, budget });
+    results.push({
+      file,
+      solutions: found.solutions.length,
+      limitReached: found.limitReached,
+      timedOut: found.timedOut,
+      description: Solvers.describeSolutionCount(found),
+    });
+  }
+  if (options.json) {
+    return JSON.stringify(results, null, 2) + "\n";
+  }
+  return results.map(({ file, description }) => `${file}: ${description}\n`).join("");
+}
+
+/**
+ * Runs several algorithms on every puzzle.
+ *
+ * @param {string[]} files - The puzzle files.
+ * @param {object} options - The parsed options.
+ * @returns {Promise<string>} The summary table, or every record as CSV or JSON.
+ */
+async function benchCommand(files, options) {
+  const algorithms = options.algorithms === undefined
+    ? Object.keys(Solvers.ALGORITHMS)
+    : options.algorithms.split(",").map((name) => resolveAlgorithm(name.trim()));
+  const records = [];
+  for (const [puzzleIndex, { puzzle }] of (await readPuzzles(files)).entries()) {
+    records.push(...Benchmark.benchmarkPuzzle(puzzle, { algorithms, puzzleIndex, ...readSearchOptions(options) }));
+  }
+  if (options.json) {
+    return Benchmark.toJSON(records) + "\n";
+  }
+  if (options.csv) {
+    return Benchmark.toCSV(records);
+  }
+  const table = [["algorithm", "rows", "runs", "timed out", ...Benchmark.METRICS.map((metric) => `${metric} (mean)`)]];
+  for (const summary of Benchmark.summarize(records)) {
+    table.push([
+      summary.algorithm,
+      summary.rows,
+      summary.runs,
+      summary.timedOut,
+      ...Benchmark.METRICS.map((metric) => Math.round(summary[metric].mean * 100) / 100),
+    ]);
+  }
+  return formatTable(table);
+}
+
+/**
+ * Generates puzzles, printing them or writing them to files.
+ *
+ * @param {string[]} files - Unused, generate takes no puzzle file.
+ * @param {object} options - The parsed options.
+ * @returns {Promise<string>} The puzzles as text or JSON, or the paths of the files written.
+ * @throws {Error} - If the difficulty is unknown.
+ */
+async function generateCommand(files, options) {
+  const rows = readNumber(options, "rows", 3);
+  const columns = readNumber(options, "columns", 10);
+  const rules = readRules(options);
+  // the first puzzle uses the seed itself, so a puzzle printed by a batch can be generated again on its own
+  const count = readNumber(options, "count", 1);
+  const seeds = [readSeed(options)];
+  const random = Random.createRandom(seeds[0]);
+  while (seeds.length < count) {
+    seeds.push(Random.randomSeed(random));
+  }
+  const puzzles = seeds.map((seed) => Generator.generatePuzzle(rows, columns, options.difficulty, rules, seed));
+  const format = ({ puzzle, grade, seed }) => options.json
+    ? PuzzleFormat.formatJSON(puzzle)
+    : `# ${grade.difficulty} (hardest step: ${grade.technique}, ${grade.steps} steps), seed ${seed}\n` +
+      PuzzleFormat.formatText(puzzle);
+  if (options.output === undefined) {
+    if (options.json) {
+      return JSON.stringify(puzzles.map(({ puzzle }) => puzzle), null, 2) + "\n";
+    }
+    return puzzles.map(format).join("\n");
+  }
+  await mkdir(options.output, { recursive: true });
+  const written = [];
+  for (const [i, generated] of puzzles.entries()) {
+    const file = path.join(options.output, `puzzle-${i + 1}.${options.json ? "json" : "txt"}`);
+    await writeFile(file, format(generated));
+    written.push(file);
+  }
+  return written.join("\n") + "\n";
+}
+
+// the exporter, the answer reader and the file extension of each format of export and check
+const FORMATS = {
+  minizinc: { write: Exporters.toMiniZinc, read: Exporters.readMiniZincSolution, extension: "mzn" },
+  dimacs: { write: Exporters.toDimacs, read: Exporters.readDimacsSolution, extension: "cnf" },
+};
+
+/**
+ * Finds the export format named on the command line.
+ *
+ * @param {object} options - The parsed options.
+ * @returns {object} The format, see FORMATS.
+ * @throws {Error} - If the format is unknown.
+ */
+function readFormat(options) {
+  const format = FORMATS[options.format.toLowerCase()];
+  if (format === undefined) {
+    throw new Error(`Unknown format: ${options.format}`);
+  }
+  return format;
+}
+
+/**
+ * Exports every puzzle, printing it or writing it to a file named after the puzzle file.
+ *
+ * @param {string[]} files - The puzzle files.
+ * @param {object} options - The parsed options.
+ * @returns {Promise<string>} The exported puzzle, or the paths of the files written.
+ * @throws {Error} - If several puzzles would be printed together.
+ */
+async function exportCommand(files, options) {
+  const format = readFormat(options);
+  const puzzles = await readPuzzles(files);
+  if (options.output === undefined) {
+    if (puzzles.length > 1) {
+      throw new Error("Several puzzles can only be exported to a directory, see --output");
+    }
+    return format.write(TennerGrid.createCSP(puzzles[0].puzzle));
+  }
+  await mkdir(options.output, { recursive: true });
+  const written = [];
+  for (const [i, { file, puzzle }] of puzzles.entries()) {
+    const name = file === "-" ? `puzzle-${i + 1}` : path.basename(file, path.extname(file));
+    const output = path.join(options.output, `${name}.${format.extension}`);
+    await writeFile(output, format.write(TennerGrid.createCSP(puzzle)));
+    written.push(output);
+  }
+  return written.join("\n") + "\n";
+}
+
+/**
+ * Checks the answer of an external solver to an exported puzzle: a solution has to satisfy every constraint, and an
+ * unsatisfiable answer has to agree with our own solver.
+ *
+ * @param {string[]} files - The puzzle file, the one that was exported.
+ * @param {object} options - The parsed options.
+ * @returns {Promise<string>} The verdict.
+ * @throws {Error} - If the answer is missing or unreadable, or the external solver and ours disagree.
+ */
+async function checkCommand(files, options) {
+  const format = readFormat(options);
+  if (options.solution === undefined) {
+    throw new Error("No answer given, see --solution");
+  }
+  const [{ file, puzzle }] = await readPuzzles(files);
+  const answer = options.solution === "-" ? await readStandardInput() : await readFile(options.solution, "utf8");
+  const csp = TennerGrid.createCSP(puzzle);
+  const assignment = format.read(csp, answer);
+  if (assignment === null) {
+    const { status } = Solvers.solve(puzzle, { algorithm: "forwardchecking-mrv" });
+    if (status !== "unsolvable") {
+      throw new Error(`${file}: the external solver found no solution, but ours is ${status}`);
+    }
+    return `${file}: unsolvable, our solver agrees\n`;
+  }
+  const problem = Exporters.checkAssignment(csp, assignment);
+  if (problem !== null) {
+    throw new Error(`${file}: the external solution is wrong, ${problem}`);
+  }
+  const solution = TennerGrid.assignmentToPuzzle(assignment, puzzle.rows, puzzle.columns, TennerGrid.puzzleRules(puzzle));
+  return `# ${file}: the external solution is valid\n${PuzzleFormat.formatText(solution)}`;
+}
+
+const COMMANDS = {
+  solve: solveCommand,
+  count: countCommand,
+  bench: benchCommand,
+  generate: generateCommand,
+  export: exportCommand,
+  check: checkCommand,
+};
+
+/**
+ * Runs the command line.
+ *
+ * @param {string[]} args - The arguments after the program name.
+ * @returns {Promise<string>} What the command prints.
+ * @throws {Error} - If the command or an option is invalid, or the command fails.
+ */
+async function run(args) {
+  const { values: options, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  const [command, ...files] = positionals;
+  if (options.help || command === undefined) {
+    return USAGE;
+  }
+  if (!(command in COMMANDS)) {
+    throw new Error(`Unknown command: ${command}, see --help`);
+  }
+  return COMMANDS[command](files, options);
+}
+
+run(process.argv.slice(2)).then(
+  (output) => process.stdout.write(output),
+  (error) => {
+    process.stderr.write(`tenner-grid: ${error.message}\n`);
+    process.exitCode = 1;
+  },
+);
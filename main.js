@@ -1,14 +1,26 @@
+import * as TennerGrid from "./TennerGrid.js";
+import * as Solvers from "./Solvers.js";
+import * as Benchmark from "./Benchmark.js";
+import * as PuzzleFormat from "./PuzzleFormat.js";
 import * as CSPModule from "./CSP.js";
-const COLUMNS = 10;
+import { SearchAnimator } from "./Visualizer.js";
+import { History } from "./History.js";
+import * as LogicSolver from "./LogicSolver.js";
+import * as Random from "./Random.js";
+import { Library, DAILY_PUZZLE, dateKey, dailySeed } from "./Library.js";
+let columns = 10;
 let rows = 3;
+let rules = { ...TennerGrid.DEFAULT_RULES }; // the rule variant picked with the rule checkboxes
 let savedState = null; // used to save the state of the grid when the user clicks the reset button
 
 /**
- * Creates grid cells and target cells in the DOM.
+ * Creates grid cells and target cells in the DOM, with the row and column targets the current rules use.
  * @param {number} rows - The number of rows in the grid.
  * @param {number} columns - The number of columns in the grid.
  */
 function createCells(rows, columns) {
+  const gridColumns = rules.rowSums ? columns + 1 : columns; // the row targets get a column of their own
+  document.querySelector(".grid").style.gridTemplateColumns = `repeat(${gridColumns}, 1fr)`;
   for (let i = 0; i < rows; i++) {
     for (let j = 0; j < columns; j++) {
       const cell = document.createElement("div");
@@ -19,6 +31,15 @@ function createCells(rows, columns) {
       const grid = document.querySelector(".grid");
       grid.appendChild(cell);
     }
+    if (rules.rowSums) {
+      const rowTargetCell = document.createElement("div");
+      rowTargetCell.className = "row-target-cell";
+      rowTargetCell.setAttribute("data-row", `${i}`);
+      document.querySelector(".grid").appendChild(rowTargetCell);
+    }
+  }
+  if (!rules.columnSums) {
+    return;
   }
   // Create the target cells
   for (let i = 0; i < columns; i++) {
@@ -35,142 +56,33 @@ function clearGrid() {
     grid.removeChild(grid.firstChild);
   }
 }
-createCells(rows, COLUMNS);
-/**
- * Creates the variables for the Constraint Satisfaction Problem (CSP).
- * The variables in our CSP will be the grid cells and the target cells.
- * 
- * @returns {string[]} An array of variables representing the grid cells and target cells.
- */
-function createVariables() {
-  const variables = Array.from(document.querySelectorAll(".cell")).map(
-    (cell) => cell.dataset.row + "," + cell.dataset.col
-  );
-  variables.push(
-    ...Array.from(document.querySelectorAll(".target-cell")).map(
-      (cell) => "t" + cell.dataset.col
-    )
-  );
-  return variables;
-}
-/**
- * Creates the domains for the CSP.
- * The domains in our CSP will be the possible values for each grid cell and target cell.
- * @returns {Array<Array<number>>} An array containing the grid cells domain and target cells domain.
- */
-function createDomains() {
-  const gridCellsDomain = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
-  // The target cells have a different domain
-  const minValue = Math.floor(rows / 2) * 1; // The minimum value for a target cell e.g. 0, 1, 0, 1, 0 = 2
-  const maxValue = Math.ceil(rows / 2) * 9 + Math.floor(rows / 2) * 8; // The maximum value for a target cell e.g. 9, 8, 9, 8, 9 = 43
-  // a range of possible values for a target cell starting from the minimum value and ending at the maximum value
-  const targetCellsDomain = Array.from(
-    { length: maxValue - minValue + 1 },
-    (_, i) => minValue + i
-  );
-  return [gridCellsDomain, targetCellsDomain];
-}
+createCells(rows, columns);
 /**
- * Initializes variables and domains for the Tenner Grid CSP.
- * @returns {Array} An array containing the variables and domains.
+ * Reads the puzzle currently shown in the grid.
+ * Every cell or target cell that holds a value (set by the randomInitialState function or by the user) becomes a given.
+ *
+ * @returns {TennerGrid.Puzzle} The puzzle described by the DOM.
  */
-function initializeVariablesAndDomains() {
-  const variables = createVariables();
-  // Adding the domains to the variables
-  const [gridCellsDomain, targetCellsDomain] = createDomains();
-  const domains = {}; // a map of {variable: domain}
-  for (const variable of variables) {
-    let cell; // get the corresponding cell for the variable
-    if (variable.startsWith("t")) {
-      cell = document.querySelector(
-        `.target-cell[data-col="${variable.charAt(1)}"]`
-      );
-    } else {
-      cell = document.querySelector(
-        `.cell[data-row="${variable.charAt(0)}"][data-col="${variable.charAt(
-          2
-        )}"], .target`
-      );
-    }
-    if (cell.innerText !== '') {
-      // if the cell has a predefined value(by the randomInitialState function or set by the user) then we restrict the domain to that value
-      domains[variable] = [parseInt(cell.innerText)];
-    }
-    // otherwise we use default domains
-    else if (!variable.startsWith("t")) {
-      domains[variable] = gridCellsDomain; // all possible values for a grid cell
-    } else {
-      domains[variable] = targetCellsDomain; // all possible values for a target cell
+function readPuzzle() {
+  const puzzle = TennerGrid.emptyPuzzle(rows, columns, rules);
+  for (const cell of document.querySelectorAll(".cell")) {
+    if (cell.innerText !== "") {
+      puzzle.givens[cell.dataset.row][cell.dataset.col] = parseInt(cell.innerText);
     }
   }
-  return [variables, domains];
-}
-
-/**
- * Generates column sum constraints for a given set of variables and CSP.
- * @param {Array} variables - The array of variables.
- * @param {CSP} csp - The CSP object.
- */
-function genColSumConstraint(variables, csp) {
-  for (let i = 0; i < COLUMNS; i++) {
-    const colVariables = [];
-    for (let j = 0; j < rows + 1; j++) {
-      colVariables.push(variables[j * COLUMNS + i]); // j * COLUMNS + i is the index of the current cell in the variables array
+  for (const targetCell of document.querySelectorAll(".target-cell")) {
+    if (targetCell.innerText !== "") {
+      puzzle.targets[targetCell.dataset.col] = parseInt(targetCell.innerText);
     }
-    csp.addConstraint(new CSPModule.ColumnSumConstraint(colVariables));
   }
-}
-
-/**
- * Generates an AllDifferent constraint for the given variables and adds it to the CSP.
- * The AllDifferent constraint ensures that all variables in the constraint have distinct values.
- *
- * @param {Array} variables - The variables to include in the AllDifferent constraint.
- * @param {CSP} csp - The CSP (Constraint Satisfaction Problem) to add the constraint to.
- */
-function genAllDiffConstraint(variables, csp) {
-  // for each cell in the grid we need to add all the cells that are adjacent to it and in the same row to the allDiff constraint
-  for (let i = 0; i < rows; i++) {
-    for (let j = 0; j < COLUMNS; j++) {
-      const currAllDiffVariables = [];
-      // add the current cell
-      currAllDiffVariables.push(variables[i * COLUMNS + j]);
-      // the cell above
-      if (i > 0) {
-        currAllDiffVariables.push(variables[(i - 1) * COLUMNS + j]);
-      }
-      // the cell below
-      if (i < rows - 1) {
-        currAllDiffVariables.push(variables[(i + 1) * COLUMNS + j]);
-      }
-      // the cell top left
-      if (i > 0 && j > 0) {
-        currAllDiffVariables.push(variables[(i - 1) * COLUMNS + j - 1]);
-      }
-      // the cell top right
-      if (i > 0 && j < COLUMNS - 1) {
-        currAllDiffVariables.push(variables[(i - 1) * COLUMNS + j + 1]);
-      }
-      // the cell bottom left
-      if (i < rows - 1 && j > 0) {
-        currAllDiffVariables.push(variables[(i + 1) * COLUMNS + j - 1]);
-      }
-      // the cell bottom right
-      if (i < rows - 1 && j < COLUMNS - 1) {
-        currAllDiffVariables.push(variables[(i + 1) * COLUMNS + j + 1]);
-      }
-      // add all cells in the same row
-      for (let k = 0; k < COLUMNS; k++) {
-        if (k !== j) {
-          currAllDiffVariables.push(variables[i * COLUMNS + k]);
-        }
-      }
-      csp.addConstraint(
-        new CSPModule.AllDifferentConstraint(currAllDiffVariables)
-      );
+  for (const rowTargetCell of document.querySelectorAll(".row-target-cell")) {
+    if (rowTargetCell.innerText !== "") {
+      puzzle.rowTargets[rowTargetCell.dataset.row] = parseInt(rowTargetCell.innerText);
     }
   }
+  return puzzle;
 }
+
 /**
  * Updates the user interface with the CSP solution result.
  *
@@ -185,18 +97,19 @@ function updateUIWithCSPResult(result, consistencyChecks, time) {
   }
   //clear and reset the grid
   clearGrid();
-  createCells(rows, COLUMNS);
+  createCells(rows, columns);
   // update the consistency checks and time elements if they are provided
   updateConsistencyAndTime(consistencyChecks, time);
   // update the grid and target cells with the values from the result
   for (const variable in result) {
     const value = result[variable];
-    if (variable.startsWith("t")) {
+    if (TennerGrid.parseVariable(variable).type !== "cell") {
       updateTargetCell(variable, value);
     } else {
       updateGridCell(variable, value);
     }
   }
+  showValidation();
 }
 
 /**
@@ -216,17 +129,13 @@ function updateConsistencyAndTime(consistencyChecks, time) {
 }
 
 /**
- * Updates the target cell in the UI.
+ * Updates the target cell (column or row sum) in the UI.
  *
  * @param {string} variable - The variable representing the target cell.
  * @param {number} value - The value to be displayed in the target cell.
  */
 function updateTargetCell(variable, value) {
-  const col = variable[1];
-  const targetCell = document.querySelector(
-    `.target-cell[data-col="${col}"]`
-  );
-  targetCell.innerText = value;
+  getCellElement(variable).innerText = value;
 }
 
 /**
@@ -236,27 +145,13 @@ function updateTargetCell(variable, value) {
  * @param {number} value - The value to be displayed in the grid cell.
  */
 function updateGridCell(variable, value) {
-  const [row, col] = variable.split(",");
+  const { row, col } = TennerGrid.parseVariable(variable);
   const cell = document.querySelector(
     `.cell[data-row="${row}"][data-col="${col}"]`
   );
   cell.innerText = value;
   cell.contentEditable = false;
 }
-/**
- * Creates a CSP (Constraint Satisfaction Problem) instance.
- * 
- * This function initializes the variables and domains for the CSP, and adds the necessary constraints.
- * 
- * @returns {CSP} The created CSP instance.
- */
-function createCSP() {
-  const [variables, domains] = initializeVariablesAndDomains();
-  const csp = new CSPModule.CSP(variables, domains);
-  genColSumConstraint(variables, csp);
-  genAllDiffConstraint(variables, csp);
-  return csp;
-}
 
 // Add event listener to the grid to prevent the user from entering invalid values
 const grid = document.querySelector(".grid");
@@ -265,9 +160,10 @@ grid.addEventListener('input', (event) => {
   const inputValue = cell.textContent.trim();
   let digit = parseInt(inputValue);
 
-  if (!isNaN(digit)) {
-      // Update the content if it's a valid digit
-      if(digit > 9) {
+  const maxDigit = columns - 1; // a grid with n columns uses the digits 0 to n - 1
+  if (!isNaN(digit) && digit % 10 <= maxDigit) {
+      // Update the content if it's a valid digit, keeping only the last typed digit when the number is too large
+      if(digit > maxDigit) {
         digit = digit % 10;
       }
       cell.textContent = digit;
@@ -282,43 +178,702 @@ grid.addEventListener('input', (event) => {
       // Clear the content if it's not a valid digit
       cell.textContent = '';
   }
+  trackProgress(showValidation());
+  recordState();
 });
 
-const backtrackingBtn = document.getElementById("backtracking");
-backtrackingBtn.addEventListener("click", (e) => {
-  const csp = createCSP();
-  const startTime = performance.now();
-  const result = csp.backtrackingSearch();
-  const endTime = performance.now();
-  updateUIWithCSPResult(result, csp.consistencyChecks, endTime - startTime);
-});
+/**
+ * Checks the values in the grid against the rules and marks the conflicting cells, columns and rows.
+ * When every cell is filled without any conflict the grid is marked as solved.
+ *
+ * @returns {boolean} True if the grid is solved, false otherwise.
+ */
+function showValidation() {
+  const { cells, columns: invalidColumns, rows: invalidRows, solved } = TennerGrid.findConflicts(readPuzzle());
+  for (const cell of document.querySelectorAll(".cell")) {
+    cell.classList.toggle("invalid", cells.has(TennerGrid.cellVariable(cell.dataset.row, cell.dataset.col)));
+  }
+  for (const targetCell of document.querySelectorAll(".target-cell")) {
+    targetCell.classList.toggle("invalid", invalidColumns.has(parseInt(targetCell.dataset.col)));
+  }
+  for (const rowTargetCell of document.querySelectorAll(".row-target-cell")) {
+    rowTargetCell.classList.toggle("invalid", invalidRows.has(parseInt(rowTargetCell.dataset.row)));
+  }
+  document.querySelector(".grid").classList.toggle("solved", solved);
+  document.getElementById("validation").innerText = solved ? "Puzzle solved!" : "";
+  showPencilMarks();
+  return solved;
+}
 
-const backtrackingMRVBtn = document.getElementById("backtracking-mrv");
-backtrackingMRVBtn.addEventListener("click", (e) => {
-  const csp = createCSP();
-  const startTime = performance.now();
-  const result = csp.backtrackingSearchWithMRV();
-  const endTime = performance.now();
-  updateUIWithCSPResult(result, csp.consistencyChecks, endTime - startTime);
-});
+let manualMarks = {}; // cell variable -> { added, removed }, the digits the user marked or crossed out by hand
 
-const forwardCheckingBtn = document.getElementById("forwardchecking");
-forwardCheckingBtn.addEventListener("click", (e) => {
-  const csp = createCSP();
-  const startTime = performance.now();
-  const result = csp.forwardCheckingSearch();
-  const endTime = performance.now();
-  updateUIWithCSPResult(result, csp.consistencyChecks, endTime - startTime);
+/**
+ * Shows the candidates of every empty cell and the feasible range of every empty target, when pencil marks are on.
+ * The candidates come from propagating the givens and the user entries, then the marks the user added by hand are
+ * shown too and the ones they removed are hidden.
+ */
+function showPencilMarks() {
+  const enabled = document.getElementById("pencil-marks").checked;
+  document.querySelector(".grid").classList.toggle("pencil-marks", enabled);
+  if (!enabled) {
+    return;
+  }
+  const { candidates } = TennerGrid.findCandidates(readPuzzle());
+  for (const variable in candidates) {
+    const values = candidates[variable];
+    const element = getCellElement(variable);
+    if (TennerGrid.parseVariable(variable).type !== "cell") {
+      element.dataset.marks = values.length === 0 ? "" : `${Math.min(...values)}–${Math.max(...values)}`;
+      continue;
+    }
+    const { added = [], removed = [] } = manualMarks[variable] ?? {};
+    const marks = new Set([...values, ...added]);
+    element.dataset.marks = [...marks].filter((digit) => !removed.includes(digit)).sort((a, b) => a - b).join(" ");
+  }
+}
+
+/**
+ * Adds a digit to the pencil marks of a cell, or removes it when it is already shown.
+ *
+ * @param {string} variable - The variable of the cell.
+ * @param {number} digit - The digit.
+ */
+function toggleMark(variable, digit) {
+  const { added = [], removed = [] } = manualMarks[variable] ?? {};
+  const shown = getCellElement(variable).dataset.marks?.split(" ").map(Number).includes(digit);
+  manualMarks[variable] = shown
+    ? { added: added.filter((mark) => mark !== digit), removed: [...removed, digit] }
+    : { added: [...added, digit], removed: removed.filter((mark) => mark !== digit) };
+  showPencilMarks();
+  recordState();
+}
+
+const MARK_KEY_DELAY = 800; // how long a key that may start a two-key digit (10 or 11) waits for the second key, in milliseconds
+let pendingMark = { variable: null, keys: "", timer: null }; // the keys typed for a mark that is not toggled yet
+
+/**
+ * Toggles the mark of the keys typed so far, if they stand for a digit.
+ */
+function commitPendingMark() {
+  const { variable, keys, timer } = pendingMark;
+  clearTimeout(timer);
+  pendingMark = { variable: null, keys: "", timer: null };
+  const { digit } = TennerGrid.readDigitKeys(keys, columns);
+  // the grid may have been rebuilt for another puzzle while the key waited
+  if (variable !== null && digit !== null && getCellElement(variable) !== null) {
+    toggleMark(variable, digit);
+  }
+}
+
+document.getElementById("pencil-marks").addEventListener("change", showPencilMarks);
+// while editing marks, typing a digit in an empty cell toggles its mark instead of filling the cell
+grid.addEventListener("keydown", (event) => {
+  const cell = event.target;
+  if (!document.getElementById("edit-marks").checked || !cell.classList.contains("cell") || cell.innerText !== "") {
+    return;
+  }
+  if (event.ctrlKey || event.metaKey || event.altKey || event.key.length !== 1) {
+    return;
+  }
+  event.preventDefault();
+  if (!document.getElementById("pencil-marks").checked) {
+    document.getElementById("pencil-marks").checked = true;
+    showPencilMarks();
+  }
+  const variable = TennerGrid.cellVariable(cell.dataset.row, cell.dataset.col);
+  if (pendingMark.variable !== variable) {
+    commitPendingMark();
+  }
+  // a key that cannot continue the pending digit toggles it, and starts a digit of its own
+  if (TennerGrid.readDigitKeys(pendingMark.keys + event.key, columns).digit === null) {
+    commitPendingMark();
+  }
+  const keys = pendingMark.keys + event.key;
+  const { digit, complete } = TennerGrid.readDigitKeys(keys, columns);
+  if (digit === null) {
+    return;
+  }
+  clearTimeout(pendingMark.timer);
+  pendingMark = { variable, keys, timer: setTimeout(commitPendingMark, MARK_KEY_DELAY) };
+  if (complete) {
+    commitPendingMark();
+  }
 });
 
-const forwardCheckingMRVBtn = document.getElementById("forwardchecking-mrv");
-forwardCheckingMRVBtn.addEventListener("click", (e) => {
-  const csp = createCSP();
-  const startTime = performance.now();
-  const result = csp.forwardCheckingSearchWithMRV();
-  const endTime = performance.now();
-  updateUIWithCSPResult(result, csp.consistencyChecks, endTime - startTime);
+/**
+ * Reads the variable and value ordering heuristics and the restart strategy chosen in the UI.
+ *
+ * @returns {object} The strategy to pass to CSP.setStrategy.
+ */
+function readStrategy() {
+  return {
+    variableOrdering: document.getElementById("variable-ordering").value || null,
+    valueOrdering: document.getElementById("value-ordering").value,
+    restarts: document.getElementById("restarts").value,
+  };
+}
+
+/**
+ * Reads the seed of the random choices of a search, to replay a run whose seed was shown with its statistics.
+ *
+ * @returns {number|undefined} The seed, undefined when the field is empty and every run draws a new one.
+ * @throws {Error} - If the seed is invalid.
+ */
+function readSearchSeed() {
+  const text = document.getElementById("search-seed").value;
+  return text.trim() === "" ? undefined : Random.parseSeed(text);
+}
+
+let solverWorker = null; // the worker running the current search, null when no search is running
+
+/**
+ * Reads the time and node budget of a search from the UI, empty fields mean no limit.
+ *
+ * @returns {object} The budget to pass to CSP.setBudget.
+ */
+function readBudget() {
+  const timeLimit = parseInt(document.getElementById("time-limit").value);
+  const nodeLimit = parseInt(document.getElementById("node-limit").value);
+  return {
+    timeLimit: isNaN(timeLimit) ? Infinity : timeLimit,
+    nodeLimit: isNaN(nodeLimit) ? Infinity : nodeLimit,
+  };
+}
+
+/**
+ * Shows the state of the current search in the result panel.
+ *
+ * @param {string} status - The status message.
+ */
+function updateStatus(status) {
+  document.getElementById("status").innerText = "Status: " + status;
+}
+
+/**
+ * Runs a search algorithm on the puzzle of the current grid in a web worker and shows the result.
+ * When the AC-3 preprocessing checkbox is ticked the domains are shrunk first, and that work is included in the
+ * reported consistency checks and time. Progress is streamed to the result panel until the search ends,
+ * runs out of budget or is cancelled.
+ *
+ * @param {string} algorithm - The key of the algorithm in Solvers.ALGORITHMS.
+ */
+function runSearch(algorithm) {
+  let seed;
+  try {
+    seed = readSearchSeed();
+  } catch (error) {
+    updateStatus(error.message);
+    return;
+  }
+  updateStatus(`running ${Solvers.ALGORITHMS[algorithm].label}`);
+  showDiagnosis(undefined);
+  startWorker({
+    type: "solve",
+    puzzle: readPuzzle(),
+    algorithm,
+    strategy: readStrategy(),
+    preprocess: document.getElementById("ac3-preprocess").checked,
+    budget: readBudget(),
+    seed,
+  }, (message) => {
+    if (message.type === "progress") {
+      const position = message.conflicts !== undefined ? `${message.conflicts} conflicts` : `depth ${message.depth}`;
+      updateStatus(`running (${message.consistencyChecks} consistency checks, ${position})`);
+      return;
+    }
+    if (message.type === "diagnosis") {
+      solverWorker.terminate();
+      solverWorker = null;
+      updateStatus("unsolvable");
+      showDiagnosis(message.diagnosis);
+      return;
+    }
+    if (message.status === "unsolvable") {
+      // the worker goes on looking for the givens and targets that conflict
+      updateStatus("unsolvable, looking for the conflicting givens and targets");
+    } else {
+      solverWorker.terminate();
+      solverWorker = null;
+      updateStatus(message.status);
+    }
+    updateStatistics(message);
+    showConflictHistory(message.conflictHistory);
+    if (message.status === "timed out") {
+      updateConsistencyAndTime(message.consistencyChecks, message.time);
+      return;
+    }
+    updateUIWithCSPResult(message.solution, message.consistencyChecks, message.time);
+    recordState();
+  });
+}
+
+/**
+ * Shows the statistics of a search in the result panel, next to its consistency checks and time.
+ *
+ * @param {object} statistics - The statistics returned by Solvers.solve.
+ */
+function updateStatistics(statistics) {
+  const { nodes, backtracks, pruned, maxDepth, wipeouts, restarts, seed, checksByConstraint } = statistics;
+  const checks = Object.entries(checksByConstraint).map(([type, count]) => `${type}: ${count}`);
+  document.getElementById("search-statistics").innerText =
+    `Statistics: ${nodes} nodes, ${backtracks} backtracks, ${pruned} values pruned, max depth ${maxDepth}, ` +
+    `${wipeouts} wipeouts, ${restarts} restarts, seed ${seed}` +
+    (checks.length > 0 ? `\nConstraint checks: ${checks.join(", ")}` : "");
+}
+
+/**
+ * Draws the number of violated constraints over the steps of a local search, or hides the chart for other searches.
+ *
+ * @param {Array<Array<number>>|null} history - The [step, violated constraints] points of the search.
+ */
+function showConflictHistory(history) {
+  const container = document.querySelector(".conflict-history");
+  container.hidden = !history?.length;
+  if (container.hidden) {
+    return;
+  }
+  const canvas = document.getElementById("conflict-chart");
+  const context = canvas.getContext("2d");
+  const lastStep = Math.max(history[history.length - 1][0], 1);
+  const most = Math.max(...history.map(([, conflicts]) => conflicts), 1);
+  context.clearRect(0, 0, canvas.width, canvas.height);
+  context.beginPath();
+  history.forEach(([step, conflicts], i) => {
+    const x = (step / lastStep) * (canvas.width - 1);
+    const y = canvas.height - 1 - (conflicts / most) * (canvas.height - 2);
+    i === 0 ? context.moveTo(x, y) : context.lineTo(x, y);
+  });
+  context.stroke();
+  const best = Math.min(...history.map(([, conflicts]) => conflicts));
+  document.getElementById("conflict-readout").innerText =
+    `Conflicts over ${lastStep} steps: started at ${history[0][1]}, at most ${most}, best ${best}`;
+}
+
+/**
+ * Highlights the givens and targets that make the puzzle unsolvable and tells which rule they break.
+ *
+ * @param {object|null|undefined} diagnosis - The diagnosis of the worker (see Diagnosis.diagnose), null when it found
+ * nothing, undefined to clear the previous diagnosis.
+ */
+function showDiagnosis(diagnosis) {
+  for (const element of document.querySelectorAll(".conflict")) {
+    element.classList.remove("conflict");
+  }
+  const diagnosisEl = document.getElementById("diagnosis");
+  if (diagnosis === undefined) {
+    diagnosisEl.innerText = "";
+    return;
+  }
+  if (diagnosis === null) {
+    diagnosisEl.innerText = "No solution, but the conflicting givens and targets could not be found in time.";
+    return;
+  }
+  for (const clue of diagnosis.clues) {
+    getCellElement(clue)?.classList.add("conflict");
+  }
+  diagnosisEl.innerText = diagnosis.message + (diagnosis.minimal ? "" : " (the highlighted cells may not all be needed)");
+}
+
+/**
+ * Starts a new solver worker, after cancelling the running one, and sends it a message. An error thrown in the worker,
+ * or an error message it posts, ends the run and is shown in the status.
+ *
+ * @param {object} message - The message describing the run, see solverWorker.js.
+ * @param {function(object): void} onMessage - Called with every other message the worker posts back.
+ */
+function startWorker(message, onMessage) {
+  cancelSearch();
+  const failRun = (reason) => {
+    solverWorker.terminate();
+    solverWorker = null;
+    disableGeneratorControls(false);
+    updateStatus(`failed: ${reason}`);
+  };
+  solverWorker = new Worker(new URL("./solverWorker.js", import.meta.url), { type: "module" });
+  solverWorker.addEventListener("message", (event) => {
+    if (event.data.type === "error") {
+      failRun(event.data.message);
+      return;
+    }
+    onMessage(event.data);
+  });
+  solverWorker.addEventListener("error", (event) => failRun(event.message));
+  solverWorker.postMessage(message);
+}
+
+/**
+ * Stops the running search or puzzle generation, if any.
+ */
+function cancelSearch() {
+  if (solverWorker !== null) {
+    solverWorker.terminate();
+    solverWorker = null;
+    disableGeneratorControls(false);
+    updateStatus("cancelled");
+  }
+}
+
+for (const algorithm in Solvers.ALGORITHMS) {
+  document.getElementById(algorithm).addEventListener("click", (e) => runSearch(algorithm));
+}
+document.getElementById("cancel").addEventListener("click", cancelSearch);
+
+let benchmarkRecords = []; // the records of the last benchmark, for the export buttons
+
+/**
+ * Shows the summary of the benchmark records in the comparison table.
+ */
+function renderBenchmarkTable() {
+  const table = document.getElementById("benchmark-table");
+  const header = ["Algorithm", "Rows", "Runs", "Timed out"];
+  for (const metric of Benchmark.METRICS) {
+    header.push(`${metric} mean`, `${metric} median`, `${metric} max`);
+  }
+  const rows = [header];
+  for (const summary of Benchmark.summarize(benchmarkRecords)) {
+    const row = [Solvers.ALGORITHMS[summary.algorithm].label, summary.rows, summary.runs, summary.timedOut];
+    for (const metric of Benchmark.METRICS) {
+      const { mean, median, max } = summary[metric];
+      row.push(...[mean, median, max].map((value) => Math.round(value * 100) / 100));
+    }
+    rows.push(row);
+  }
+  table.innerHTML = "";
+  rows.forEach((cells, index) => {
+    const tr = table.insertRow();
+    for (const cell of cells) {
+      const td = document.createElement(index === 0 ? "th" : "td");
+      td.innerText = cell;
+      tr.appendChild(td);
+    }
+  });
+}
+
+/**
+ * Runs every algorithm in the solver worker, on the current grid or on a batch of generated puzzles,
+ * and fills the comparison table as the runs end.
+ *
+ * @param {boolean} batch - True to benchmark generated puzzles for every row size, false for the current grid.
+ */
+function runBenchmark(batch) {
+  let seed;
+  try {
+    seed = readSearchSeed();
+  } catch (error) {
+    updateStatus(error.message);
+    return;
+  }
+  benchmarkRecords = [];
+  renderBenchmarkTable();
+  updateStatus("benchmarking");
+  startWorker({
+    type: "benchmark",
+    puzzle: batch ? null : readPuzzle(),
+    count: parseInt(document.getElementById("benchmark-count").value),
+    columns,
+    rules,
+    difficulty: document.getElementById("difficulty").value,
+    strategy: readStrategy(),
+    budget: readBudget(),
+    seed,
+  }, (message) => {
+    if (message.type === "record") {
+      benchmarkRecords.push(message.record);
+      renderBenchmarkTable();
+      updateStatus(`benchmarking (${benchmarkRecords.length} runs)`);
+      return;
+    }
+    solverWorker.terminate();
+    solverWorker = null;
+    updateStatus("benchmark done");
+  });
+}
+
+/**
+ * Lets the user download a text file.
+ *
+ * @param {string} name - The file name.
+ * @param {string} content - The content of the file.
+ * @param {string} type - The MIME type of the file.
+ */
+function downloadFile(name, content, type) {
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(new Blob([content], { type }));
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+document.getElementById("benchmark-current").addEventListener("click", () => runBenchmark(false));
+document.getElementById("benchmark-batch").addEventListener("click", () => runBenchmark(true));
+document.getElementById("export-csv").addEventListener("click", () =>
+  downloadFile("benchmark.csv", Benchmark.toCSV(benchmarkRecords), "text/csv"));
+document.getElementById("export-json").addEventListener("click", () =>
+  downloadFile("benchmark.json", Benchmark.toJSON(benchmarkRecords), "application/json"));
+
+const MAX_RECORDED_EVENTS = 20000; // the search is stopped once this many events have been recorded for the animation
+let animator = null; // the SearchAnimator of the last visualization
+
+/**
+ * Returns the grid cell or target cell element of a variable.
+ *
+ * @param {string} variable - The variable representing the cell.
+ * @returns {HTMLElement} The cell element.
+ */
+function getCellElement(variable) {
+  const { type, row, col } = TennerGrid.parseVariable(variable);
+  if (type === "target") {
+    return document.querySelector(`.target-cell[data-col="${col}"]`);
+  }
+  if (type === "rowTarget") {
+    return document.querySelector(`.row-target-cell[data-row="${row}"]`);
+  }
+  return document.querySelector(`.cell[data-row="${row}"][data-col="${col}"]`);
+}
+
+/**
+ * Describes a constraint in words for the step information line.
+ *
+ * @param {object} constraint - The constraint to describe.
+ * @returns {string} The description.
+ */
+function describeConstraint(constraint) {
+  if (constraint instanceof CSPModule.Nogood) {
+    return `learned nogood on ${constraint.variables.map(TennerGrid.describeVariable).join(", ")}`;
+  }
+  if (constraint instanceof CSPModule.RowSumConstraint) {
+    return `row ${TennerGrid.parseVariable(constraint.targetVar).row + 1} sum`;
+  }
+  if (constraint instanceof CSPModule.ColumnSumConstraint) {
+    return `column ${TennerGrid.parseVariable(constraint.targetVar).col + 1} sum`;
+  }
+  return `${rules.rowDistinct ? "row and " : ""}neighbours of ${TennerGrid.describeVariable(constraint.variables[0])} all different`;
+}
+
+/**
+ * Shows a search event in the grid: assigned values, pruned candidates and the constraint that failed.
+ *
+ * @param {object} event - The search event emitted by the CSP.
+ */
+function renderSearchEvent(event) {
+  for (const element of document.querySelectorAll(".conflict, .pruned")) {
+    element.classList.remove("conflict", "pruned");
+  }
+  const element = event.variable !== undefined ? getCellElement(event.variable) : null;
+  let info;
+  switch (event.type) {
+    case "assign":
+      // show the remaining candidates of the empty cells as they were before this assignment
+      for (const variable in event.domains) {
+        const cell = getCellElement(variable);
+        cell.dataset.candidates = event.domains[variable].length <= columns ? event.domains[variable].join(" ") : "";
+      }
+      element.innerText = event.value;
+      element.classList.add("trying");
+      info = `Try ${TennerGrid.describeVariable(event.variable)} = ${event.value}`;
+      break;
+    case "prune":
+      element.dataset.candidates = event.domain.length <= columns ? event.domain.join(" ") : "";
+      element.classList.add("pruned");
+      info = `Prune ${event.removed.join(", ")} from ${TennerGrid.describeVariable(event.variable)} (${describeConstraint(event.constraint)})`;
+      break;
+    case "conflict":
+      for (const variable of event.constraint.variables) {
+        getCellElement(variable).classList.add("conflict");
+      }
+      info = `${TennerGrid.describeVariable(event.variable)} = ${event.value} breaks ${describeConstraint(event.constraint)}`;
+      break;
+    case "wipeout":
+      for (const variable of event.constraint.variables) {
+        getCellElement(variable).classList.add("conflict");
+      }
+      info = `No values left for ${TennerGrid.describeVariable(event.variable)} (${describeConstraint(event.constraint)})`;
+      break;
+    case "backtrack":
+      element.innerText = "";
+      element.classList.remove("trying");
+      info = `Backtrack from ${TennerGrid.describeVariable(event.variable)}`;
+      break;
+    case "restart":
+      // the search went back to the root without emitting a backtrack for every assigned cell
+      for (const trying of document.querySelectorAll(".trying")) {
+        trying.innerText = "";
+        trying.classList.remove("trying");
+      }
+      info = `Restart ${event.run}: start over from the root`;
+      break;
+    case "solution":
+      info = "Solution found";
+      break;
+  }
+  document.getElementById("step-info").innerText = info;
+}
+
+/**
+ * Converts the speed slider value (events per second) to the delay between two animated events.
+ *
+ * @returns {number} The delay in milliseconds.
+ */
+function readAnimationDelay() {
+  return 1000 / parseInt(document.getElementById("speed").value);
+}
+
+/**
+ * Records the events of the search picked in the visualization controls on the current grid
+ * and prepares the animation, starting from the grid as it is now.
+ */
+function visualizeSearch() {
+  if (animator !== null) {
+    animator.pause();
+  }
+  const puzzle = readPuzzle();
+  const csp = TennerGrid.createCSP(puzzle);
+  csp.setStrategy(readStrategy());
+  try {
+    csp.setSeed(readSearchSeed() ?? Random.randomSeed());
+  } catch (error) {
+    document.getElementById("step-info").innerText = error.message;
+    return;
+  }
+  const events = [];
+  const limitReached = new Error("Recorded event limit reached");
+  csp.listener = (event) => {
+    events.push(event);
+    if (events.length >= MAX_RECORDED_EVENTS) {
+      throw limitReached;
+    }
+  };
+  try {
+    csp[document.getElementById("visualize-algorithm").value]();
+  } catch (error) {
+    if (error !== limitReached) {
+      throw error;
+    }
+  }
+  updateUIWithCSPResult(TennerGrid.puzzleToAssignment(puzzle));
+  recordState();
+  animator = new SearchAnimator(events, renderSearchEvent, readAnimationDelay());
+  const limited = events.length >= MAX_RECORDED_EVENTS ? " (stopped at the event limit)" : "";
+  document.getElementById("step-info").innerText = `Recorded ${events.length} events${limited}`;
+}
+
+document.getElementById("visualize").addEventListener("click", visualizeSearch);
+document.getElementById("play").addEventListener("click", () => animator?.play());
+document.getElementById("pause").addEventListener("click", () => animator?.pause());
+document.getElementById("step").addEventListener("click", () => {
+  animator?.pause();
+  animator?.step();
 });
+document.getElementById("speed").addEventListener("input", () => animator?.setDelay(readAnimationDelay()));
+
+let shownSolutions = []; // the solutions found by the last uniqueness check
+let shownSolutionIndex = 0;
+let shownSolutionCount = ""; // how many solutions the last uniqueness check found, see Solvers.describeSolutionCount
+
+/**
+ * Counts the solutions of the current grid in the solver worker, within the budget of the searches, and reports the
+ * count (a lower bound when the limit or the budget cut the search short) in the result panel, like the count command.
+ * Up to Solvers.SOLUTION_LIMIT solutions are kept so the user can flip between them with the next solution button.
+ */
+function checkUniqueness() {
+  updateStatus("counting solutions");
+  startWorker({ type: "solutions", puzzle: readPuzzle(), budget: readBudget() }, (message) => {
+    solverWorker.terminate();
+    solverWorker = null;
+    updateStatus(message.timedOut ? "timed out" : "done");
+    shownSolutions = message.solutions;
+    shownSolutionIndex = 0;
+    shownSolutionCount = Solvers.describeSolutionCount(message);
+    document.getElementById("solution-count").innerText = "Uniqueness check: " + shownSolutionCount;
+    document.getElementById("next-solution").disabled = shownSolutions.length < 2;
+    if (shownSolutions.length > 0) {
+      updateUIWithCSPResult(shownSolutions[0]);
+      recordState();
+    }
+  });
+}
+
+/**
+ * Shows the next solution found by the last uniqueness check in the grid.
+ */
+function showNextSolution() {
+  shownSolutionIndex = (shownSolutionIndex + 1) % shownSolutions.length;
+  document.getElementById("solution-count").innerText =
+    `Uniqueness check: ${shownSolutionCount}, showing ${shownSolutionIndex + 1} of ${shownSolutions.length}`;
+  updateUIWithCSPResult(shownSolutions[shownSolutionIndex]);
+  recordState();
+}
+
+document.getElementById("check-uniqueness").addEventListener("click", checkUniqueness);
+document.getElementById("next-solution").addEventListener("click", showNextSolution);
+
+// what the logical solver tells when it cannot go on, see LogicSolver.solveLogically
+const LOGIC_OUTCOMES = {
+  solved: "The grid is already complete.",
+  stuck: "No technique applies from here: the puzzle needs guessing, or has more than one solution.",
+  contradiction: "A value in the grid is wrong: some cell has no candidate left.",
+};
+
+/**
+ * Highlights the cells a deduction talks about, instead of the previously highlighted ones.
+ *
+ * @param {string[]} variables - The variables of the cells to highlight.
+ */
+function highlightCells(variables) {
+  for (const element of document.querySelectorAll(".hint")) {
+    element.classList.remove("hint");
+  }
+  for (const variable of variables) {
+    getCellElement(variable)?.classList.add("hint");
+  }
+}
+
+/**
+ * Lists deduction steps of the logical solver under the grid. Clicking a step highlights its cells.
+ *
+ * @param {string} summary - The sentence shown above the steps.
+ * @param {Array<LogicSolver.Step>} steps - The steps to list.
+ */
+function showSteps(summary, steps) {
+  document.getElementById("logic-summary").innerText = summary;
+  const list = document.getElementById("logic-steps");
+  list.innerHTML = "";
+  for (const step of steps) {
+    const item = document.createElement("li");
+    item.innerText = `${LogicSolver.TECHNIQUES[step.technique].label}: ${step.explanation}`;
+    item.addEventListener("click", () => highlightCells(step.cells));
+    list.appendChild(item);
+  }
+}
+
+/**
+ * Fills in the next value the logical solver can deduce from the grid, and lists the deductions that lead to it.
+ */
+function showNextHint() {
+  const { status, steps } = LogicSolver.nextHint(readPuzzle());
+  if (status !== "hint") {
+    showSteps(LOGIC_OUTCOMES[status], steps);
+    return;
+  }
+  const { placement, cells } = steps[steps.length - 1];
+  showSteps(`Hint: ${TennerGrid.describeVariable(placement.variable)} is ${placement.value}.`, steps);
+  getCellElement(placement.variable).innerText = placement.value;
+  highlightCells(cells);
+  trackProgress(showValidation(), 1);
+  recordState();
+}
+
+/**
+ * Lists every deduction the logical solver makes from the grid, without changing the grid.
+ */
+function explainSolution() {
+  const { status, steps } = LogicSolver.solveLogically(readPuzzle());
+  const summary = status === "solved" ? `Solved by logic in ${steps.length} steps.` : LOGIC_OUTCOMES[status];
+  showSteps(summary, steps);
+}
+
+document.getElementById("next-hint").addEventListener("click", showNextHint);
+document.getElementById("explain-solution").addEventListener("click", explainSolution);
 
 const resetBtn = document.getElementById("reset");
 resetBtn.addEventListener("click", (e) => {
@@ -328,6 +883,7 @@ resetBtn.addEventListener("click", (e) => {
   }
   console.log("Resetting to saved state...");
   updateUIWithCSPResult(savedState);
+  recordState();
 });
 
 document.addEventListener("DOMContentLoaded", function () {
@@ -336,64 +892,528 @@ document.addEventListener("DOMContentLoaded", function () {
     rows = parseInt(this.value);
     slider.nextElementSibling.innerText = "Row Size: " + rows;
     clearGrid();
-    createCells(rows, COLUMNS);
-    randomInitialState();
+    createCells(rows, columns);
+  });
+  // a new puzzle is only generated once the slider is released, since the sliders are disabled while it is generated
+  slider.addEventListener("change", () => randomInitialState());
+  const columnSlider = document.getElementById("column-size-slider");
+  columnSlider.addEventListener("input", function () {
+    columns = parseInt(this.value);
+    columnSlider.nextElementSibling.innerText = "Column Size: " + columns;
+    clearGrid();
+    createCells(rows, columns);
   });
+  columnSlider.addEventListener("change", () => randomInitialState());
+  for (const name in TennerGrid.DEFAULT_RULES) {
+    document.getElementById("rule-" + name).addEventListener("change", function () {
+      rules[name] = this.checked;
+      randomInitialState();
+    });
+  }
 });
 const randomize = document.getElementById("randomize");
-randomize.addEventListener("click", randomInitialState);
+randomize.addEventListener("click", () => randomInitialState());
+document.getElementById("difficulty").addEventListener("change", () => randomInitialState());
+document.getElementById("generate-seed").addEventListener("click", () => {
+  try {
+    randomInitialState(Random.parseSeed(document.getElementById("seed").value));
+  } catch (error) {
+    document.getElementById("difficulty-grade").innerText = error.message;
+  }
+});
+
+// the controls that change the puzzle being generated, disabled until it is ready
+const GENERATOR_CONTROLS = [
+  "row-size-slider",
+  "column-size-slider",
+  "difficulty",
+  "seed",
+  "generate-seed",
+  "randomize",
+  ...Object.keys(TennerGrid.DEFAULT_RULES).map((name) => "rule-" + name),
+];
+
+/**
+ * Enables or disables the controls of the puzzle generator.
+ *
+ * @param {boolean} disabled - True while a puzzle is generated.
+ */
+function disableGeneratorControls(disabled) {
+  for (const id of GENERATOR_CONTROLS) {
+    document.getElementById(id).disabled = disabled;
+  }
+}
 
 /**
  * Generates a random initial state for the Constraint Satisfaction Problem (CSP).
- * Clears the grid, creates cells, and assigns random values to grid variables with a 50% chance of assignment.
- * Uses the backtracking search algorithm to find a solution, restricting domains based on the assigned values.
- * If no solution is found(rarely), retries the process.
- * Updates the user interface with the CSP solution result.
+ * Clears the grid and creates cells, then generates a puzzle with a unique solution for the chosen rules, at the
+ * difficulty picked next to the row size slider. Large puzzles take seconds, so the puzzle is generated in the solver
+ * worker, with the generator controls disabled until it is ready. The generated givens and targets are shown in the
+ * grid and saved for the reset button.
+ * The seed of the puzzle is shown in the seed field, so the same puzzle can be generated again from it.
+ *
+ * @param {number} [seed] - The seed to generate the puzzle from, a new one when it is not given.
  */
-function randomInitialState() {
+function randomInitialState(seed = Random.randomSeed()) {
+  switchEntry(null);
   clearGrid();
-  createCells(rows, COLUMNS);
-  const [gridCellsDomain, targetCellsDomain] = createDomains();
-  const csp = createCSP();
-  const assignment = {};
-  // assign random values to the grid variables with a 50% chance of assigning a value to a variable
-  for (const gridVariable of csp.variables.filter(
-    (variable) => !variable.startsWith("t")
-  )) {
-    if (Math.random() < 0.5) {
-      const shuffledDomain = gridCellsDomain.sort(() => 0.5 - Math.random());
-      for (const value of shuffledDomain) {
-        if (csp.consistent(gridVariable, {...assignment ,[gridVariable]: value })) { 
-          assignment[gridVariable] = value;
-          break;
-        }
-      }
+  createCells(rows, columns);
+  manualMarks = {};
+  const difficulty = document.getElementById("difficulty").value;
+  document.getElementById("seed").value = seed;
+  document.getElementById("difficulty-grade").innerText = `Difficulty: generating a ${difficulty} puzzle, seed ${seed}`;
+  updateStatus("generating a puzzle");
+  startWorker({ type: "generate", rows, columns, difficulty, rules, seeds: [seed] }, (message) => {
+    if (message.type !== "puzzle") {
+      return;
+    }
+    solverWorker.terminate();
+    solverWorker = null;
+    disableGeneratorControls(false);
+    updateStatus("puzzle generated");
+    const { puzzle, grade } = message;
+    document.getElementById("difficulty-grade").innerText =
+      `Difficulty: ${grade.difficulty} (hardest step: ${grade.technique}, ${grade.steps} steps), seed ${seed}`;
+    puzzleOrigin = { source: "generated", seed, difficulty: grade.difficulty };
+    savedState = TennerGrid.puzzleToAssignment(puzzle);
+    updateUIWithCSPResult(savedState);
+    recordState();
+  });
+  disableGeneratorControls(true);
+}
+
+/**
+ * Shows a puzzle in the grid, resizing the grid to its rows and columns and switching to its rules, and saves it for
+ * the reset button.
+ *
+ * @param {TennerGrid.Puzzle} puzzle - The puzzle to show.
+ * @param {string|null} entry - The id of the library entry of the puzzle, whose progress is shown and tracked, null
+ * for a puzzle that is not from the library.
+ */
+function loadPuzzle(puzzle, entry = null) {
+  switchEntry(entry);
+  rows = puzzle.rows;
+  columns = puzzle.columns;
+  rules = TennerGrid.puzzleRules(puzzle);
+  showGridSettings();
+  manualMarks = {};
+  savedState = TennerGrid.puzzleToAssignment(puzzle);
+  updateUIWithCSPResult(savedState);
+  const { source = "imported", seed = null, difficulty = null, values = {} } = library.get(entry) ?? {};
+  document.getElementById("difficulty-grade").innerText = "Difficulty:" + (difficulty === null ? "" : " " + difficulty);
+  puzzleOrigin = { source, seed, difficulty };
+  // the entries the user made last time stay editable
+  for (const variable in values ?? {}) {
+    if (!(variable in savedState)) {
+      getCellElement(variable).innerText = values[variable];
     }
   }
-    // restrict the domains of the grid variables to the values in the assignment otherwise use default domains for the grid variables and target variables
-    for (const variable of csp.variables) {
-      if (variable in assignment) {
-        csp.domains[variable] = [assignment[variable]];
-      } else if(variable.startsWith("t")) {
-        csp.domains[variable] = targetCellsDomain;
-      }
-      else {
-        csp.domains[variable] = gridCellsDomain;
-      }
+  showValidation();
+  recordState();
+}
+
+/**
+ * Sets the size sliders and the rule checkboxes to the current rows, columns and rules.
+ */
+function showGridSettings() {
+  for (const name in rules) {
+    document.getElementById("rule-" + name).checked = rules[name];
+  }
+  const slider = document.getElementById("row-size-slider");
+  slider.value = rows;
+  slider.nextElementSibling.innerText = "Row Size: " + rows;
+  const columnSlider = document.getElementById("column-size-slider");
+  columnSlider.value = columns;
+  columnSlider.nextElementSibling.innerText = "Column Size: " + columns;
+}
+
+const SESSION_KEY = "tennerGridSession"; // the localStorage key of the grid saved for the next visit
+const gridHistory = new History(); // the snapshots of the grid, for the undo and redo buttons
+
+/**
+ * Takes a snapshot of the grid: its size and rules, the values shown, the cells that can no longer be edited
+ * (filled by the generator or a solver) and the puzzle the reset button goes back to.
+ *
+ * @returns {object} The snapshot, as plain data.
+ */
+function takeSnapshot() {
+  const locked = [];
+  for (const cell of document.querySelectorAll(".cell")) {
+    if (cell.contentEditable === "false") {
+      locked.push(TennerGrid.cellVariable(cell.dataset.row, cell.dataset.col));
     }
-    const result = csp.forwardCheckingSearchWithMRV(assignment);
-    if (result === null) {
-      console.log("No solution found! retrying...");
-      randomInitialState();
-      return;
+  }
+  return {
+    rows,
+    columns,
+    rules: { ...rules },
+    values: TennerGrid.puzzleToAssignment(readPuzzle()),
+    locked,
+    savedState,
+    marks: manualMarks,
+    entry: libraryEntry,
+    origin: puzzleOrigin,
+  };
+}
+
+/**
+ * Rebuilds the grid from a snapshot taken by takeSnapshot.
+ *
+ * @param {object} snapshot - The snapshot to show.
+ */
+function restoreSnapshot(snapshot) {
+  rows = snapshot.rows;
+  columns = snapshot.columns;
+  rules = { ...TennerGrid.DEFAULT_RULES, ...snapshot.rules };
+  savedState = snapshot.savedState;
+  manualMarks = snapshot.marks ?? {};
+  switchEntry(snapshot.entry ?? null);
+  puzzleOrigin = snapshot.origin ?? { source: "imported", seed: null, difficulty: null };
+  showGridSettings();
+  clearGrid();
+  createCells(rows, columns);
+  for (const variable in snapshot.values) {
+    getCellElement(variable).innerText = snapshot.values[variable];
+  }
+  for (const variable of snapshot.locked) {
+    getCellElement(variable).contentEditable = false;
+  }
+  showValidation();
+}
+
+/**
+ * Saves a snapshot of the grid in localStorage, so it is shown again after a reload.
+ * Nothing is saved when the storage is unavailable or full.
+ *
+ * @param {object} snapshot - The snapshot to save.
+ */
+function saveSession(snapshot) {
+  try {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(snapshot));
+  } catch (error) {
+    console.log("Could not save the session: " + error.message);
+  }
+}
+
+/**
+ * Shows the grid saved in localStorage by the last visit, if any.
+ *
+ * @returns {boolean} True if a saved grid was restored, false if there was none or it could not be read.
+ */
+function restoreSession() {
+  try {
+    const saved = localStorage.getItem(SESSION_KEY);
+    if (saved === null) {
+      return false;
     }
-    // add the target cells from result to the assignment
-    for (const variable in result) {
-      if (variable.startsWith("t")) {
-        assignment[variable] = result[variable];
+    restoreSnapshot(JSON.parse(saved));
+  } catch (error) {
+    console.log("Could not restore the session: " + error.message);
+    return false;
+  }
+  recordState();
+  return true;
+}
+
+/**
+ * Records the grid as it is now in the undo history and saves it for the next visit.
+ * Every change of the grid (an edited cell, a solver result, a new puzzle) calls it once the grid is updated.
+ */
+function recordState() {
+  const snapshot = takeSnapshot();
+  if (gridHistory.push(snapshot)) {
+    saveSession(snapshot);
+  }
+  updateHistoryButtons();
+}
+
+/**
+ * Enables the undo and redo buttons when there is something to undo or redo.
+ */
+function updateHistoryButtons() {
+  document.getElementById("undo").disabled = !gridHistory.canUndo();
+  document.getElementById("redo").disabled = !gridHistory.canRedo();
+}
+
+/**
+ * Shows the previous (undo) or the next (redo) snapshot of the history.
+ *
+ * @param {boolean} forward - True to redo, false to undo.
+ */
+function moveInHistory(forward) {
+  const snapshot = forward ? gridHistory.redo() : gridHistory.undo();
+  if (snapshot !== null) {
+    restoreSnapshot(snapshot);
+    saveSession(snapshot);
+  }
+  updateHistoryButtons();
+}
+
+document.getElementById("undo").addEventListener("click", () => moveInHistory(false));
+document.getElementById("redo").addEventListener("click", () => moveInHistory(true));
+document.addEventListener("keydown", (event) => {
+  // text fields keep their own undo
+  if (!(event.ctrlKey || event.metaKey) || event.altKey || event.target.closest("input, textarea, select")) {
+    return;
+  }
+  const key = event.key.toLowerCase();
+  if (key === "z" || key === "y") {
+    event.preventDefault();
+    moveInHistory(key === "y" || event.shiftKey);
+  }
+});
+
+/**
+ * Parses a puzzle text (text or JSON format) and loads it, reporting format errors under the puzzle text box.
+ *
+ * @param {string} text - The puzzle text.
+ */
+function importPuzzle(text) {
+  const errorEl = document.getElementById("puzzle-error");
+  try {
+    loadPuzzle(PuzzleFormat.parsePuzzle(text));
+    errorEl.innerText = "";
+  } catch (error) {
+    errorEl.innerText = error.message;
+  }
+}
+
+/**
+ * Reads the puzzle given in the URL hash (#puzzle=...), if any.
+ *
+ * @returns {TennerGrid.Puzzle|null} The puzzle, or null when the hash holds no valid puzzle.
+ */
+function readPuzzleFromHash() {
+  const encoded = new URLSearchParams(location.hash.slice(1)).get("puzzle");
+  if (encoded === null) {
+    return null;
+  }
+  try {
+    return PuzzleFormat.decodePuzzle(encoded);
+  } catch (error) {
+    document.getElementById("puzzle-error").innerText = error.message;
+    return null;
+  }
+}
+
+document.getElementById("import-puzzle").addEventListener("click", () =>
+  importPuzzle(document.getElementById("puzzle-text").value));
+document.getElementById("export-puzzle").addEventListener("click", () => {
+  document.getElementById("puzzle-text").value = PuzzleFormat.formatText(readPuzzle());
+});
+document.getElementById("puzzle-file").addEventListener("change", async (event) => {
+  const file = event.target.files[0];
+  if (file !== undefined) {
+    importPuzzle(await file.text());
+  }
+});
+document.getElementById("download-puzzle").addEventListener("click", () =>
+  downloadFile("tenner-grid.txt", PuzzleFormat.formatText(readPuzzle()), "text/plain"));
+document.getElementById("share-link").addEventListener("click", () => {
+  location.hash = "puzzle=" + PuzzleFormat.encodePuzzle(readPuzzle());
+  navigator.clipboard?.writeText(location.href);
+});
+window.addEventListener("hashchange", () => {
+  const puzzle = readPuzzleFromHash();
+  if (puzzle !== null) {
+    importPuzzle(PuzzleFormat.formatJSON(puzzle));
+  }
+});
+
+const library = new Library(localStorage); // the puzzles to work through, kept for the next visits
+let libraryEntry = null; // the id of the library entry shown in the grid, null when the puzzle is not from the library
+let activeSince = null; // when the time spent on that entry last started counting, null while it does not count
+let puzzleOrigin = { source: "imported", seed: null, difficulty: null }; // where the puzzle shown came from, for the library
+
+/**
+ * Adds the time spent on the library puzzle since it last started counting to its entry.
+ */
+function flushTime() {
+  const entry = library.get(libraryEntry);
+  if (entry !== null && activeSince !== null) {
+    const now = Date.now();
+    library.update(entry.id, { time: entry.time + now - activeSince });
+    activeSince = now;
+  }
+}
+
+/**
+ * Makes a library entry the one whose progress is tracked. Its time counts while the page is shown, until it is solved.
+ *
+ * @param {string|null} id - The id of the entry, null to stop tracking.
+ */
+function switchEntry(id) {
+  flushTime();
+  const entry = library.get(id);
+  libraryEntry = entry === null ? null : id;
+  activeSince = entry !== null && entry.status !== "solved" && !document.hidden ? Date.now() : null;
+  renderLibrary();
+}
+
+/**
+ * Records the progress on the library puzzle after the user changed the grid: the entries, the time spent, the hints
+ * used and whether it is solved. A solved puzzle keeps its status and time.
+ *
+ * @param {boolean} solved - Whether the grid is solved now.
+ * @param {number} hints - The number of hints the change used.
+ */
+function trackProgress(solved, hints = 0) {
+  const entry = library.get(libraryEntry);
+  if (entry === null || entry.status === "solved") {
+    return;
+  }
+  flushTime();
+  library.update(entry.id, {
+    status: solved ? "solved" : "in progress",
+    hints: entry.hints + hints,
+    values: TennerGrid.puzzleToAssignment(readPuzzle()),
+    solvedAt: solved ? new Date().toISOString() : null,
+  });
+  if (solved) {
+    activeSince = null;
+  }
+  renderLibrary();
+}
+
+/**
+ * Formats a duration as minutes and seconds.
+ *
+ * @param {number} time - The duration in milliseconds.
+ * @returns {string} E.g. "12:05".
+ */
+function formatDuration(time) {
+  const seconds = Math.floor(time / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Shows the library grouped by row count and difficulty, with the progress on every puzzle.
+ */
+function renderLibrary() {
+  const counts = library.countByStatus();
+  document.getElementById("library-summary").innerText =
+    `${counts.solved} solved, ${counts["in progress"]} in progress, ${counts.unsolved} unsolved`;
+  const table = document.getElementById("library-table");
+  table.innerHTML = "";
+  const header = table.insertRow();
+  for (const title of ["Puzzle", "Source", "Status", "Time", "Hints", ""]) {
+    const th = document.createElement("th");
+    th.innerText = title;
+    header.appendChild(th);
+  }
+  for (const group of library.groups()) {
+    const th = document.createElement("th");
+    th.colSpan = 6;
+    th.innerText = `${group.rows} rows, ${group.difficulty}`;
+    table.insertRow().appendChild(th);
+    group.entries.forEach((entry, index) => {
+      const tr = table.insertRow();
+      tr.classList.toggle("current", entry.id === libraryEntry);
+      const source = entry.source === "daily" ? `puzzle of ${entry.date}` : entry.source;
+      for (const cell of [index + 1, source, entry.status, formatDuration(entry.time), entry.hints]) {
+        tr.insertCell().innerText = cell;
       }
+      const actions = tr.insertCell();
+      const open = document.createElement("button");
+      open.className = "btn";
+      open.innerText = "Open";
+      open.addEventListener("click", () => loadPuzzle(entry.puzzle, entry.id));
+      const remove = document.createElement("button");
+      remove.className = "btn";
+      remove.innerText = "Remove";
+      remove.addEventListener("click", () => {
+        if (entry.id === libraryEntry) {
+          switchEntry(null);
+        }
+        library.remove(entry.id);
+        renderLibrary();
+      });
+      actions.append(open, remove);
+    });
+  }
+}
+
+/**
+ * Adds the puzzle shown in the grid to the library (as it was given, without the user entries) and tracks it.
+ */
+function addCurrentPuzzle() {
+  const puzzle = savedState === null ? readPuzzle() : TennerGrid.assignmentToPuzzle(savedState, rows, columns, rules);
+  const entry = library.add(puzzle, puzzleOrigin);
+  switchEntry(entry.id);
+  recordState();
+}
+
+/**
+ * Generates puzzles of the size, rules and difficulty picked above the grid in the solver worker, and adds them to
+ * the library.
+ */
+function generateLibraryPuzzles() {
+  const count = Math.max(1, parseInt(document.getElementById("library-count").value) || 1);
+  const seeds = Array.from({ length: count }, () => Random.randomSeed());
+  let added = 0;
+  updateStatus("generating puzzles for the library");
+  startWorker({
+    type: "generate",
+    rows,
+    columns,
+    difficulty: document.getElementById("difficulty").value,
+    rules,
+    seeds,
+  }, (message) => {
+    if (message.type === "puzzle") {
+      const { puzzle, grade, seed } = message;
+      library.add(puzzle, { source: "generated", seed, difficulty: grade.difficulty });
+      renderLibrary();
+      updateStatus(`generating puzzles for the library (${++added} of ${count})`);
+      return;
+    }
+    solverWorker.terminate();
+    solverWorker = null;
+    updateStatus(`${count} puzzles added to the library`);
+  });
+}
+
+/**
+ * Opens the puzzle of the day, generating it from the date (in the solver worker) the first time it is opened.
+ */
+function openDailyPuzzle() {
+  const date = dateKey();
+  const daily = library.daily(date);
+  if (daily !== null) {
+    loadPuzzle(daily.puzzle, daily.id);
+    return;
+  }
+  updateStatus("generating the puzzle of the day");
+  startWorker({ type: "generate", ...DAILY_PUZZLE, rules: TennerGrid.DEFAULT_RULES, seeds: [dailySeed()] }, (message) => {
+    if (message.type === "puzzle") {
+      const { puzzle, grade, seed } = message;
+      const entry = library.add(puzzle, { source: "daily", seed, date, difficulty: grade.difficulty });
+      loadPuzzle(entry.puzzle, entry.id);
+      return;
     }
-    savedState = assignment;
-    updateUIWithCSPResult(assignment);
+    solverWorker.terminate();
+    solverWorker = null;
+    updateStatus(`puzzle of ${date}`);
+  });
+}
+
+document.getElementById("library-add").addEventListener("click", addCurrentPuzzle);
+document.getElementById("library-generate").addEventListener("click", generateLibraryPuzzles);
+document.getElementById("daily-puzzle").addEventListener("click", openDailyPuzzle);
+// the time only counts while the page is shown
+document.addEventListener("visibilitychange", () => {
+  if (document.hidden) {
+    flushTime();
+    activeSince = null;
+  } else {
+    switchEntry(libraryEntry);
+  }
+});
+window.addEventListener("pagehide", flushTime);
+
+const linkedPuzzle = readPuzzleFromHash();
+if (linkedPuzzle !== null) {
+  importPuzzle(PuzzleFormat.formatJSON(linkedPuzzle));
+} else if (!restoreSession()) {
+  randomInitialState();
 }
-randomInitialState();
\ No newline at end of file
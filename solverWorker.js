@@ -0,0 +1,62 @@
+import { solve, findSolutions } from "./Solvers.js";
+import * as Benchmark from "./Benchmark.js";
+import { diagnose } from "./Diagnosis.js";
+import { generatePuzzle } from "./Generator.js";
+
+/**
+ * Runs solvers off the main thread. Cancelling a run is done by terminating the worker.
+ *
+ * A { type: "solve", puzzle, algorithm, strategy, preprocess, budget } message (see Solvers.solve) posts
+ * { type: "progress", consistencyChecks, nodes, depth, conflicts? } messages while searching and a final { type: "result", ... }.
+ * When the puzzle turns out to be unsolvable, a { type: "diagnosis", diagnosis } message follows (see Diagnosis.diagnose).
+ *
+ * A { type: "benchmark", puzzle, rowSizes, count, columns, difficulty, rules, budget, strategy } message runs every algorithm on the
+ * puzzle, or on a generated batch when no puzzle is given (see Benchmark). It posts a { type: "record", record }
+ * message after each run and a final { type: "done" }.
+ *
+ * A { type: "generate", rows, columns, difficulty, rules, seeds } message generates one puzzle per seed (see
+ * Generator.generatePuzzle). It posts a { type: "puzzle", puzzle, solution, grade, seed } message after each puzzle
+ * and a final { type: "done" }. When the puzzles cannot be generated, it posts a { type: "error", message } message
+ * instead.
+ *
+ * A { type: "solutions", puzzle, limit, budget } message looks for up to limit solutions (see Solvers.findSolutions)
+ * and posts them in a { type: "solutions", solutions, limitReached, timedOut } message.
+ */
+self.addEventListener("message", (event) => {
+  const message = event.data;
+  if (message.type === "benchmark") {
+    const options = { ...message, onRecord: (record) => self.postMessage({ type: "record", record }) };
+    if (message.puzzle) {
+      Benchmark.benchmarkPuzzle(message.puzzle, options);
+    } else {
+      Benchmark.benchmarkBatch(options);
+    }
+    self.postMessage({ type: "done" });
+    return;
+  }
+  if (message.type === "generate") {
+    try {
+      for (const seed of message.seeds) {
+        const generated = generatePuzzle(message.rows, message.columns, message.difficulty, message.rules, seed);
+        self.postMessage({ type: "puzzle", ...generated });
+      }
+    } catch (error) {
+      self.postMessage({ type: "error", message: error.message });
+      return;
+    }
+    self.postMessage({ type: "done" });
+    return;
+  }
+  if (message.type === "solutions") {
+    self.postMessage({ type: "solutions", ...findSolutions(message.puzzle, message) });
+    return;
+  }
+  const result = solve(message.puzzle, {
+    ...message,
+    onProgress: (progress) => self.postMessage({ type: "progress", ...progress }),
+  });
+  self.postMessage({ type: "result", ...result });
+  if (result.status === "unsolvable") {
+    self.postMessage({ type: "diagnosis", diagnosis: diagnose(message.puzzle) });
+  }
+});
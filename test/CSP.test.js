@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as TennerGrid from "../TennerGrid.js";
+import { generatePuzzle } from "../Generator.js";
+import { solve } from "../Solvers.js";
+
+test("min-conflicts reports a fully given grid with a wrong target as unsolvable", () => {
+  const { solution } = generatePuzzle(3, 10, "easy", {}, 42);
+  const puzzle = TennerGrid.assignmentToPuzzle(solution, 3, 10);
+  puzzle.targets[0] += 1;
+  const result = solve(puzzle, { algorithm: "min-conflicts", seed: 1 });
+  assert.equal(result.status, "unsolvable");
+  assert.equal(result.solution, null);
+  assert.equal(result.wipeouts, 1);
+});
+
+test("min-conflicts records its restarts and its depth", () => {
+  const csp = TennerGrid.createCSP(generatePuzzle(3, 10, "easy", {}, 5).puzzle);
+  csp.setSeed(3);
+  csp.minConflicts({ maxSteps: 200, restartAfter: 5 });
+  const { restarts, maxDepth } = csp.statistics();
+  assert.ok(restarts > 0);
+  assert.equal(maxDepth, csp.variables.length);
+});
+
+test("a search after one that ran out of steps starts without the timed out flag", () => {
+  const csp = TennerGrid.createCSP(generatePuzzle(3, 10, "easy", {}, 5).puzzle);
+  csp.setSeed(3);
+  assert.equal(csp.minConflicts({ maxSteps: 1 }), null);
+  assert.equal(csp.timedOut, true);
+  assert.notEqual(csp.backtrackingSearch(), null);
+  assert.equal(csp.timedOut, false);
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as TennerGrid from "../TennerGrid.js";
+import { DIFFICULTIES, generatePuzzle, randomSolution } from "../Generator.js";
+import { createRandom } from "../Random.js";
+
+test("generated puzzles have their solution as the only one", () => {
+  for (const difficulty of DIFFICULTIES) {
+    for (const seed of [1, 2]) {
+      const { puzzle, solution } = generatePuzzle(4, 10, difficulty, {}, seed);
+      const solutions = [...TennerGrid.createCSP(puzzle).solutions()];
+      assert.equal(solutions.length, 1, `${difficulty} puzzle of seed ${seed}`);
+      assert.deepEqual(solutions[0], solution);
+      puzzle.givens.forEach((row, r) => row.forEach((given, c) => {
+        if (given !== null) {
+          assert.equal(given, solution[TennerGrid.cellVariable(r, c)]);
+        }
+      }));
+    }
+  }
+});
+
+test("the same seed generates the same puzzle", () => {
+  assert.deepEqual(generatePuzzle(3, 10, "hard", {}, 7), generatePuzzle(3, 10, "hard", {}, 7));
+});
+
+test("rules no grid of the size satisfies are reported instead of generating an empty puzzle", () => {
+  assert.equal(randomSolution(3, 5, { wrap: true }, createRandom(5)), null);
+  assert.throws(() => generatePuzzle(3, 5, "hard", { wrap: true }, 5), /No 3x5 grid satisfies these rules/);
+});
+
+test("puzzles with the other rules have a unique solution", () => {
+  for (const rules of [{ wrap: true }, { rowSums: true }, { diagonals: false, columnSums: false, rowSums: true }]) {
+    const { puzzle, solution } = generatePuzzle(3, 10, "medium", rules, 3);
+    const solutions = [...TennerGrid.createCSP(puzzle).solutions()];
+    assert.deepEqual(solutions, [solution], JSON.stringify(rules));
+  }
+});
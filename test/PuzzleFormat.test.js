@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generatePuzzle } from "../Generator.js";
+import * as PuzzleFormat from "../PuzzleFormat.js";
+
+// the classic rules, a wide grid with two-digit values, and the rule variants with row targets
+const PUZZLES = [
+  generatePuzzle(3, 10, "medium", {}, 1).puzzle,
+  generatePuzzle(3, 12, "easy", {}, 2).puzzle,
+  generatePuzzle(3, 10, "medium", { wrap: true, rowSums: true }, 3).puzzle,
+  generatePuzzle(3, 8, "hard", { diagonals: false, columnSums: false, rowSums: true }, 4).puzzle,
+];
+
+test("puzzles survive a round trip through a link", () => {
+  for (const puzzle of PUZZLES) {
+    assert.deepEqual(PuzzleFormat.decodePuzzle(PuzzleFormat.encodePuzzle(puzzle)), puzzle);
+  }
+});
+
+test("puzzles survive a round trip through the text and JSON formats", () => {
+  for (const puzzle of PUZZLES) {
+    assert.deepEqual(PuzzleFormat.parseText(PuzzleFormat.formatText(puzzle)), puzzle);
+    assert.deepEqual(PuzzleFormat.parsePuzzle(PuzzleFormat.formatJSON(puzzle)), puzzle);
+  }
+});
+
+test("malformed links and texts are rejected", () => {
+  assert.throws(() => PuzzleFormat.decodePuzzle("3x10:123:1,2"), /needs 30 cells/);
+  assert.throws(() => PuzzleFormat.decodePuzzle("not a puzzle"), /Invalid puzzle link/);
+  assert.throws(() => PuzzleFormat.parseText("rules: gravity\n1 2\n= 3 4\n"), /Unknown rule: gravity/);
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as TennerGrid from "../TennerGrid.js";
+import { generatePuzzle } from "../Generator.js";
+import { ALGORITHMS, describeSolutionCount, findSolutions, solve } from "../Solvers.js";
+import { VALUE_ORDERINGS, VARIABLE_ORDERINGS } from "../CSP.js";
+
+// forward checking with MRV on the 3-row medium puzzles of seeds 1 to 3, the same before and after the domain store
+const FC_MRV_RUNS = [
+  { seed: 1, consistencyChecks: 1390, nodes: 49 },
+  { seed: 2, consistencyChecks: 1231, nodes: 41 },
+  { seed: 3, consistencyChecks: 1344, nodes: 44 },
+];
+
+test("forward checking with MRV finds the same solutions with the same effort", () => {
+  for (const { seed, consistencyChecks, nodes } of FC_MRV_RUNS) {
+    const { puzzle, solution } = generatePuzzle(3, 10, "medium", {}, seed);
+    const result = solve(puzzle, { algorithm: "forwardchecking-mrv" });
+    assert.deepEqual(result.solution, solution);
+    assert.equal(result.consistencyChecks, consistencyChecks);
+    assert.equal(result.nodes, nodes);
+  }
+});
+
+test("every algorithm finds the unique solution of generated puzzles", () => {
+  for (const seed of [1, 2, 3]) {
+    const { puzzle, solution } = generatePuzzle(3, 6, "medium", {}, seed);
+    for (const algorithm of Object.keys(ALGORITHMS)) {
+      for (const preprocess of [false, true]) {
+        const result = solve(puzzle, { algorithm, preprocess, seed });
+        assert.equal(result.status, "solved", `${algorithm} on seed ${seed}`);
+        assert.deepEqual(result.solution, solution, `${algorithm} on seed ${seed}`);
+      }
+    }
+  }
+});
+
+test("every variable and value ordering finds the same solution", () => {
+  const { puzzle, solution } = generatePuzzle(3, 6, "medium", {}, 4);
+  for (const algorithm of ["forwardchecking", "mac", "cbj"]) {
+    for (const variableOrdering of VARIABLE_ORDERINGS) {
+      for (const valueOrdering of VALUE_ORDERINGS) {
+        const result = solve(puzzle, { algorithm, strategy: { variableOrdering, valueOrdering }, seed: 4 });
+        assert.deepEqual(result.solution, solution, `${algorithm} with ${variableOrdering} and ${valueOrdering}`);
+      }
+    }
+  }
+});
+
+test("counting solutions stops at the limit", () => {
+  const { puzzle } = generatePuzzle(3, 6, "medium", {}, 1);
+  const open = { ...puzzle, givens: puzzle.givens.map((row) => row.map(() => null)) };
+  assert.equal(TennerGrid.createCSP(puzzle).countSolutions(), 1);
+  assert.equal(TennerGrid.createCSP(puzzle).isUnique(), true);
+  assert.equal(TennerGrid.createCSP(open).countSolutions(), 4);
+  assert.equal(TennerGrid.createCSP(open).countSolutions(2), 2);
+  assert.equal(TennerGrid.createCSP(open).isUnique(), false);
+});
+
+test("findSolutions tells a complete count from a cut-short one", () => {
+  const { puzzle } = generatePuzzle(3, 6, "medium", {}, 1);
+  const open = { ...puzzle, givens: puzzle.givens.map((row) => row.map(() => null)) };
+  const unsolvable = { ...puzzle, targets: puzzle.targets.map((target, col) => (col === 0 ? target + 1 : target)) };
+
+  const unique = findSolutions(puzzle);
+  assert.deepEqual([unique.solutions.length, unique.limitReached, unique.timedOut], [1, false, false]);
+  assert.equal(describeSolutionCount(unique), "1 solution");
+
+  const all = findSolutions(open);
+  assert.deepEqual([all.solutions.length, all.limitReached, all.timedOut], [4, false, false]);
+  assert.equal(describeSolutionCount(all), "4 solutions");
+
+  const limited = findSolutions(open, { limit: 3 });
+  assert.deepEqual([limited.solutions.length, limited.limitReached, limited.timedOut], [3, true, false]);
+  assert.equal(describeSolutionCount(limited), "at least 3 solutions");
+
+  const timedOut = findSolutions(open, { budget: { nodeLimit: 3 } });
+  assert.deepEqual([timedOut.solutions.length, timedOut.timedOut], [0, true]);
+  assert.equal(describeSolutionCount(timedOut), "unknown number of solutions (timed out)");
+
+  assert.equal(describeSolutionCount(findSolutions(unsolvable)), "0 solutions");
+});
@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import * as TennerGrid from "../TennerGrid.js";
+
+test("digits past 9 of wide grids are read from two keys", () => {
+  assert.deepEqual(TennerGrid.readDigitKeys("1", 12), { digit: 1, complete: false });
+  assert.deepEqual(TennerGrid.readDigitKeys("10", 12), { digit: 10, complete: true });
+  assert.deepEqual(TennerGrid.readDigitKeys("11", 12), { digit: 11, complete: true });
+  assert.deepEqual(TennerGrid.readDigitKeys("11", 11), { digit: null, complete: true });
+  assert.deepEqual(TennerGrid.readDigitKeys("12", 12), { digit: null, complete: true });
+  assert.deepEqual(TennerGrid.readDigitKeys("7", 12), { digit: 7, complete: true });
+  assert.deepEqual(TennerGrid.readDigitKeys("0", 12), { digit: 0, complete: true });
+});
+
+test("every digit of a grid of 10 columns or fewer takes a single key", () => {
+  assert.deepEqual(TennerGrid.readDigitKeys("1", 10), { digit: 1, complete: true });
+  assert.deepEqual(TennerGrid.readDigitKeys("9", 10), { digit: 9, complete: true });
+  assert.deepEqual(TennerGrid.readDigitKeys("9", 8), { digit: null, complete: true });
+  assert.deepEqual(TennerGrid.readDigitKeys("x", 10), { digit: null, complete: true });
+});